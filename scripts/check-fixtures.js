@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Fixture golden-file check
+ * Replays a recorded fixture bundle offline and compares the collected data,
+ * prompts, template fallbacks and final documents against golden files
+ *
+ * Usage: node scripts/check-fixtures.js <bundle.json> [--update]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const [bundleArg, ...flags] = process.argv.slice(2);
+const update = flags.includes('--update');
+
+if (!bundleArg) {
+  console.error('Usage: node scripts/check-fixtures.js <bundle.json> [--update]');
+  process.exit(1);
+}
+
+// Must be set before the generator configures its fixture store
+process.env.CHRONICLR_FIXTURES = 'replay';
+process.env.CHRONICLR_FIXTURE_PATH = bundleArg;
+process.env.CHRONICLR_NO_CACHE = '1';
+
+const { AIDocumentGenerator } = require('../src/generators/ai-document-generator');
+const { loadFixtureBundle } = require('../src/utils/fixtures');
+
+/**
+ * Pin the clock to the recording time so generated dates match
+ */
+function freezeClock(isoTime) {
+  const fixed = new Date(isoTime).getTime();
+  const RealDate = Date;
+  global.Date = class FrozenDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [fixed]));
+    }
+
+    static now() {
+      return fixed;
+    }
+  };
+}
+
+function firstDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let i = 0; i < length; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return `line ${i + 1}\n    expected: ${JSON.stringify(expectedLines[i])}\n    actual:   ${JSON.stringify(actualLines[i])}`;
+    }
+  }
+  return 'no line difference';
+}
+
+async function main() {
+  const bundlePath = path.resolve(process.cwd(), bundleArg);
+  const bundle = loadFixtureBundle(bundlePath);
+  if (!bundle.options) {
+    throw new Error('Fixture bundle has no recorded run options');
+  }
+  freezeClock(bundle.recordedAt);
+
+  const goldenDir = bundlePath.replace(/\.json$/, '') + '.golden';
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chroniclr-fixtures-'));
+  const checks = [];
+
+  try {
+    const generator = new AIDocumentGenerator();
+    const data = await generator.collectDataFromSources(bundle.options);
+    checks.push({
+      name: 'collected data',
+      expected: JSON.stringify(bundle.collected, null, 2),
+      actual: JSON.stringify(data, null, 2),
+    });
+
+    for (const docType of bundle.options.docTypes) {
+      const template = await generator.loadTemplate(docType);
+      checks.push({
+        name: `${docType}.prompt.txt`,
+        actual: await generator.createAIPrompt(docType, data, template),
+      });
+      checks.push({
+        name: `${docType}.template.md`,
+        actual: await generator.fillTemplate(template, data, docType),
+      });
+    }
+
+    const results = await generator.generateDocument({
+      ...bundle.options,
+      outputDir,
+      dryRun: true,
+    });
+    results.forEach((result) =>
+      checks.push({ name: result.fileName, actual: result.content })
+    );
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+
+  let failures = 0;
+  for (const check of checks) {
+    const goldenPath = path.join(goldenDir, check.name);
+
+    if (check.expected === undefined) {
+      if (update) {
+        fs.mkdirSync(goldenDir, { recursive: true });
+        fs.writeFileSync(goldenPath, check.actual, 'utf8');
+        console.log(`📝 Updated ${path.relative(process.cwd(), goldenPath)}`);
+        continue;
+      }
+      if (!fs.existsSync(goldenPath)) {
+        failures++;
+        console.error(`❌ ${check.name}: no golden file (run with --update)`);
+        continue;
+      }
+      check.expected = fs.readFileSync(goldenPath, 'utf8');
+    }
+
+    if (check.expected === check.actual) {
+      console.log(`✅ ${check.name}`);
+    } else {
+      failures++;
+      console.error(
+        `❌ ${check.name} differs at ${firstDifference(check.expected, check.actual)}`
+      );
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} of ${checks.length} fixture check(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${checks.length} fixture checks passed`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
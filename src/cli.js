@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Chroniclr command-line interface
+ * Local entry point to the same generator the GitHub Actions workflow runs
+ */
+
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { AIDocumentGenerator } = require('./generators/ai-document-generator');
+const { mapLabelsToDocTypes, loadConfig } = require('./utils/process-labels');
+const { validateDiscussion } = require('./utils/validate-discussion');
+const { loadFixtureBundle } = require('./utils/fixtures');
+const { toIssueQuery, resolveDate } = require('./utils/issues-client');
+const { checkConfig } = require('./utils/config-validator');
+const { writeDocumentIndex } = require('./utils/document-index');
+const { ADR_FOLDER, writeDecisionLog } = require('./utils/decision-log');
+const { buildSite } = require('./site/site-builder');
+const {
+  TemplateResolver,
+  loadTemplateCatalog,
+  templateLabelMapping,
+} = require('./utils/template-catalog');
+
+const USAGE = `Usage: chroniclr <command> [options]
+
+Commands:
+  generate          Generate documents and write them to the output directory
+  preview           Generate documents and print them without writing files
+  list-types        List available document types and the labels that select them
+  validate-config   Check chroniclr.config.json against its schema and templates
+  index             Rebuild the document index (README.md and index.json) and the decision log in the output directory
+  site              Build a static HTML site from the output directory
+
+Source options:
+  --discussion <n>       Discussion number
+  --title <text>         Discussion title
+  --body <text>          Discussion body
+  --body-file <path>     Read the discussion body from a file
+  --author <login>       Discussion author
+  --url <url>            Discussion URL
+  --category <name>      Discussion category
+  --series <key>         Meeting series of the discussion (default: from meetings.series or the title)
+  --pr <n,n>             Pull request numbers
+  --issues <n,n>         GitHub issue numbers
+  --issue-query <text>   GitHub issue search, e.g. "crash in:title" or "author:octocat"
+  --issue-labels <l1,l2> Issues carrying every one of these labels
+  --milestone <title>    Issues in this milestone
+  --issue-state <state>  open, closed or all (default: all)
+  --since <date>         Issues updated on or after this date (YYYY-MM-DD, or 14d for 14 days ago)
+  --until <date>         Issues updated on or before this date
+  --jira <KEY-1,KEY-2>   Jira issue keys
+  --source <list>        Data sources (default: detected from the options above)
+
+Output options:
+  --type <t1,t2>         Document types (default: from --labels, else summary)
+  --labels <l1,l2>       Discussion labels to map to document types
+  --out <dir>            Output directory (default: generated)
+  --format <f1,f2>       Extra output formats: html, confluence, json (default: documents.formats)
+  --publish <list>       Publish to: confluence, wiki (default: publishers enabled in config)
+  --site-dir <dir>       Where the site command writes the site (default: site.outputDir, else _site)
+  --repo <owner/name>    GitHub repository (default: GITHUB_REPOSITORY)
+  --no-cache             Disable the completion and source cache
+  --refresh-cache        Ignore cached entries for this run
+  --record <file>        Record all GitHub, Jira and model traffic to a fixture bundle
+  --replay <file>        Replay a fixture bundle offline (reuses its sources by default)
+  -h, --help             Show this help
+`;
+
+const OPTIONS = {
+  discussion: { type: 'string' },
+  title: { type: 'string' },
+  body: { type: 'string' },
+  'body-file': { type: 'string' },
+  author: { type: 'string' },
+  url: { type: 'string' },
+  category: { type: 'string' },
+  series: { type: 'string' },
+  pr: { type: 'string' },
+  issues: { type: 'string' },
+  'issue-query': { type: 'string' },
+  'issue-labels': { type: 'string' },
+  milestone: { type: 'string' },
+  'issue-state': { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  jira: { type: 'string' },
+  source: { type: 'string' },
+  type: { type: 'string' },
+  labels: { type: 'string' },
+  out: { type: 'string' },
+  format: { type: 'string' },
+  publish: { type: 'string' },
+  'site-dir': { type: 'string' },
+  repo: { type: 'string' },
+  'no-cache': { type: 'boolean' },
+  'refresh-cache': { type: 'boolean' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item);
+}
+
+function loadConfigOrDefault() {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    core.warning(`Using default configuration: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Translate command-line values into generator run options
+ */
+function buildRunOptions(values, config) {
+  const discussion = values.discussion
+    ? {
+        number: values.discussion,
+        title: values.title || 'Discussion',
+        body: values['body-file']
+          ? fs.readFileSync(values['body-file'], 'utf8')
+          : values.body || '',
+        author: values.author || 'unknown',
+        url: values.url || '',
+        category: values.category || null,
+        series: values.series || null,
+      }
+    : null;
+
+  if (discussion) {
+    const validation = validateDiscussion(discussion);
+    if (!validation.isValid) {
+      throw new Error(
+        `Discussion validation failed: ${validation.errors.join(', ')}`
+      );
+    }
+  }
+
+  const prNumbers = splitList(values.pr);
+  const issueNumbers = splitList(values.issues);
+  const issueQuery = toIssueQuery({
+    search: values['issue-query'],
+    labels: splitList(values['issue-labels']),
+    milestone: values.milestone,
+    state: values['issue-state'],
+    since: values.since,
+    until: values.until,
+  });
+  const jiraKeys = splitList(values.jira);
+
+  if (values['issue-state'] && !['open', 'closed', 'all'].includes(values['issue-state'])) {
+    throw new Error(`Invalid --issue-state "${values['issue-state']}". Use open, closed or all.`);
+  }
+  // Fail on a bad date before any data is fetched
+  resolveDate(values.since);
+  resolveDate(values.until);
+
+  // Auto-detect sources the same way the workflow does
+  let sources = splitList(values.source);
+  if (sources.length === 0) {
+    if (discussion) sources.push('discussion');
+    if (prNumbers.length > 0) sources.push('pr');
+    if (issueNumbers.length > 0 || issueQuery) sources.push('issues');
+    if (jiraKeys.length > 0) sources.push('jira');
+  }
+  if (sources.length === 0) {
+    throw new Error(
+      'No data sources given. Use --discussion, --pr, --issues, an issue query (--issue-query, --issue-labels, --milestone, --since, --until) or --jira.'
+    );
+  }
+
+  let docTypes = splitList(values.type);
+  if (docTypes.length === 0) {
+    docTypes = values.labels
+      ? mapLabelsToDocTypes(
+          splitList(values.labels),
+          config,
+          templateLabelMapping(loadTemplateCatalog(new TemplateResolver(config)))
+        )
+      : ['summary'];
+  }
+
+  return {
+    docTypes,
+    sources,
+    prNumbers,
+    issueNumbers,
+    issueQuery,
+    jiraKeys,
+    discussion,
+    outputDir: values.out,
+  };
+}
+
+async function runGenerate(values, { dryRun }) {
+  if (values.repo) {
+    process.env.GITHUB_REPOSITORY = values.repo;
+  }
+  if (values['no-cache']) {
+    process.env.CHRONICLR_NO_CACHE = '1';
+  }
+  if (values['refresh-cache']) {
+    process.env.CHRONICLR_CACHE_REFRESH = '1';
+  }
+
+  if (values.record || values.replay) {
+    process.env.CHRONICLR_FIXTURES = values.record ? 'record' : 'replay';
+    process.env.CHRONICLR_FIXTURE_PATH = values.record || values.replay;
+  }
+
+  const config = loadConfigOrDefault();
+
+  // A replay without source options regenerates the recorded run
+  const hasSourceOptions = [
+    'discussion',
+    'pr',
+    'issues',
+    'issue-query',
+    'issue-labels',
+    'milestone',
+    'issue-state',
+    'since',
+    'until',
+    'jira',
+    'source',
+  ].some(
+    (name) => values[name]
+  );
+  const runOptions =
+    values.replay && !hasSourceOptions
+      ? {
+          ...loadFixtureBundle(values.replay).options,
+          ...(values.type && { docTypes: splitList(values.type) }),
+          outputDir: values.out,
+        }
+      : buildRunOptions(values, config);
+  const options = {
+    ...runOptions,
+    formats: splitList(values.format),
+    publish: splitList(values.publish),
+    dryRun,
+  };
+
+  const generator = new AIDocumentGenerator();
+  const results = await generator.generateDocument(options);
+
+  if (dryRun) {
+    for (const result of results) {
+      [result, ...result.outputs].forEach((file) =>
+        process.stdout.write(`\n===== ${file.fileName} =====\n\n${file.content}\n`)
+      );
+    }
+  } else {
+    for (const result of results) {
+      [result, ...result.outputs].forEach((file) =>
+        core.info(`📄 ${path.relative(process.cwd(), file.filePath)}`)
+      );
+    }
+  }
+}
+
+function runListTypes() {
+  const config = loadConfigOrDefault();
+  const catalog = loadTemplateCatalog(new TemplateResolver(config));
+  const labelMapping = {
+    ...templateLabelMapping(catalog),
+    ...(config.github?.discussionLabels || {}),
+  };
+
+  for (const { name, description, sources, path: file } of Object.values(catalog)) {
+    const labels = Object.entries(labelMapping)
+      .filter(([, types]) => types.includes(name))
+      .map(([label]) => label);
+    const lines = [name];
+    if (description) lines.push(`  ${description}`);
+    lines.push(
+      `  sources: ${sources.required.length > 0 ? `requires ${sources.required.join(', ')}` : 'any'}${
+        sources.optional.length > 0 ? `; optional ${sources.optional.join(', ')}` : ''
+      }`
+    );
+    if (labels.length > 0) lines.push(`  labels: ${labels.join(', ')}`);
+    lines.push(`  template: ${path.relative(process.cwd(), file)}`);
+    process.stdout.write(`${lines.join('\n')}\n\n`);
+  }
+}
+
+async function runIndex(values) {
+  const config = loadConfigOrDefault();
+  const outputDir = values.out || config.documents?.outputDir || 'generated';
+  const docTypes = Object.keys(loadTemplateCatalog(new TemplateResolver(config)));
+  const count = await writeDocumentIndex(path.resolve(process.cwd(), outputDir), docTypes);
+  core.info(`🗂️ Indexed ${count} document(s) in ${outputDir}/README.md and ${outputDir}/index.json`);
+  const decisions = await writeDecisionLog(path.resolve(process.cwd(), outputDir, ADR_FOLDER));
+  if (decisions > 0) {
+    core.info(`🗳️ Listed ${decisions} decision(s) in ${outputDir}/${ADR_FOLDER}/README.md`);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command] = positionals;
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  switch (command) {
+    case 'generate':
+      return runGenerate(values, { dryRun: false });
+    case 'preview':
+      return runGenerate(values, { dryRun: true });
+    case 'list-types':
+      return runListTypes();
+    case 'validate-config':
+      return checkConfig();
+    case 'index':
+      return runIndex(values);
+    case 'site':
+      return buildSite({ outputDir: values.out, siteDir: values['site-dir'] });
+    default:
+      throw new Error(`Unknown command "${command}". Run chroniclr --help for usage.`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    core.setFailed(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, buildRunOptions };
@@ -9,23 +9,187 @@ const core = require('@actions/core');
 const fs = require('fs').promises;
 const path = require('path');
 const { PullRequestClient } = require('../utils/pr-client');
-const { IssuesClient } = require('../utils/issues-client');
+const { DiscussionClient, formatThread, formatReactions } = require('../utils/discussion-client');
+const { IssuesClient, toIssueQuery, describeIssueQuery } = require('../utils/issues-client');
 const { JiraClient } = require('../utils/jira-client');
+const { createAIProvider } = require('../utils/ai-provider');
+const {
+  configureRequestQueue,
+  getRequestQueue,
+  RateLimitError,
+} = require('../utils/request-queue');
+const { loadConfig } = require('../utils/process-labels');
+const { PromptBuilder, renderSections } = require('../utils/prompt-builder');
+const { validateSchema } = require('../utils/json-schema');
+const { FactVerifier } = require('../utils/fact-verifier');
+const { configureCache, getCache } = require('../utils/cache');
+const { configureFixtures, getFixtures } = require('../utils/fixtures');
+const { TemplateEngine } = require('../utils/template-engine');
+const {
+  TemplateResolver,
+  parseFrontMatter,
+  loadTemplateCatalog,
+  checkTemplateSources,
+} = require('../utils/template-catalog');
+const {
+  parseJSONResponse,
+  schemaForPrompt,
+  structuredTemplateValues,
+} = require('../utils/structured-output');
+const { resolveFormats, renderOutputs } = require('../utils/output-formats');
+const {
+  sourceIdentity,
+  issueQuerySource,
+  locateSourceDocument,
+  parseSourceDocument,
+  trackSourceDocument,
+} = require('../utils/source-documents');
+const { mergeDocument, readMergeBase, writeMergeBase } = require('../utils/document-merge');
+const { writeDocumentIndex } = require('../utils/document-index');
+const { selectPublishers, publishDocuments } = require('../publishers');
+const { selectWebhooks, notifyDocuments } = require('../notifiers');
+const { ActionItemIssues } = require('../utils/action-item-issues');
+const {
+  meetingSeriesKey,
+  findPreviousMeeting,
+  previousActionItems,
+  resolveActionItems,
+  renderCarryOver,
+  insertCarryOver,
+} = require('../utils/meeting-series');
+const {
+  ADR_FOLDER,
+  adrLabel,
+  adrFileName,
+  listDecisions,
+  nextDecisionNumber,
+  findSuperseded,
+  findSupersededBy,
+  decorateDecision,
+  markSuperseded,
+  writeDecisionLog,
+} = require('../utils/decision-log');
+
+// The run date the instructions give the model ("Use today's date: 2024-03-05")
+const RUN_DATE_PATTERN = /(Use today's date[^:]*: )\d{4}-\d{2}-\d{2}/g;
+
+/**
+ * Split a comma (or custom pattern) separated list, dropping empty entries
+ */
+function splitList(value, separator = ',') {
+  return (value || '')
+    .split(separator)
+    .map((item) => item.trim())
+    .filter((item) => item);
+}
+
+/**
+ * A discussion's body followed by its comments and replies
+ */
+function discussionText(discussion) {
+  if (!discussion) return '';
+  return [
+    discussion.body,
+    ...(discussion.comments || []).flatMap((comment) => [
+      comment.body,
+      ...(comment.replies || []).map((reply) => reply.body),
+    ]),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Longest regenerated section quoted in the merge conflict report
+const MAX_CONFLICT_EXCERPT = 1500;
 
 class AIDocumentGenerator {
   constructor() {
-    this.baseURL = 'https://models.github.ai/inference';
-    this.apiKey = process.env.GITHUB_TOKEN;
-    this.model = 'gpt-4o';
+    this.config = this.loadGeneratorConfig();
+
+    // All outbound API calls share one rate-limit aware queue
+    configureRequestQueue(this.config.requestQueue);
+
+    // Record/replay fixtures (CHRONICLR_FIXTURES=record|replay). Every call
+    // must reach the fixture layer, so the cache is off while they're active.
+    const fixtures = configureFixtures();
 
-    // Initialize data source clients
-    this.prClient = new PullRequestClient();
-    this.issuesClient = new IssuesClient();
+    // Completions and source fetches are cached on disk between runs
+    configureCache(
+      fixtures.active ? { ...this.config.cache, enabled: false } : this.config.cache
+    );
+
+    // Set by the workflow for multi-document runs: once the model is rate
+    // limited, remaining documents go straight to templates
+    this.preferTemplates = process.env.PREFER_TEMPLATES === 'true';
+    this.aiRateLimited = false;
+
+    // Resolve the LLM provider (GitHub Models by default)
+    this.provider = createAIProvider(this.config);
+    this.model = this.provider.model;
+
+    // Keeps prompts inside the model's context window
+    const aiConfig = this.config.ai || {};
+    this.promptBuilder = new PromptBuilder({
+      contextWindow: aiConfig.contextWindow,
+      maxOutputTokens: this.provider.settings.maxTokens,
+      mapMaxTokens: aiConfig.mapMaxTokens,
+      summarize: (prompt, options) => this.generateCompletion(prompt, options),
+    });
+
+    // 'markdown' (free-form) or 'json' (schema-validated, rendered by Chroniclr)
+    this.outputMode =
+      process.env.CHRONICLR_OUTPUT_MODE || aiConfig.outputMode || 'markdown';
+    this.maxRepairAttempts = aiConfig.maxRepairAttempts ?? 1;
+
+    // Second half of the anti-fabrication guard: check output against sources
+    this.factVerifier = new FactVerifier(this.config.verification);
+
+    // Data source clients are created on first use, so runs that don't
+    // touch GitHub (e.g. local discussion-only runs) need no token
+    this.prClient = null;
+    this.issuesClient = null;
     this.jiraClient = null;
 
+    // Output root and template lookup come from the `documents` config section
+    this.outputDir = this.config.documents?.outputDir || 'generated';
+    this.templateResolver = new TemplateResolver(this.config);
+    this.templateEngine = null;
+    this.templateCatalog = null;
+
     core.info(`AI Generator initialized with model: ${this.model}`);
   }
 
+  loadGeneratorConfig() {
+    try {
+      return loadConfig();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      core.warning(`Using default configuration: ${error.message}`);
+      return {};
+    }
+  }
+
+  getPRClient() {
+    if (!this.prClient) {
+      this.prClient = new PullRequestClient();
+    }
+    return this.prClient;
+  }
+
+  getDiscussionClient() {
+    if (!this.discussionClient) {
+      this.discussionClient = new DiscussionClient();
+    }
+    return this.discussionClient;
+  }
+
+  getIssuesClient() {
+    if (!this.issuesClient) {
+      this.issuesClient = new IssuesClient();
+    }
+    return this.issuesClient;
+  }
+
   getJiraClient() {
     if (!this.jiraClient) {
       this.jiraClient = new JiraClient();
@@ -37,87 +201,129 @@ class AIDocumentGenerator {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  async generateCompletion(prompt) {
+  async generateCompletion(prompt, options = {}) {
     try {
-      core.info('Making AI API request...');
+      const request = {
+        system:
+          'Create well-structured documentation from the provided data. Replace all placeholders with actual values.',
+        prompt,
+        maxTokens: options.maxTokens,
+      };
 
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content:
-                'Create well-structured documentation from the provided data. Replace all placeholders with actual values.',
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          max_tokens: 2000,
-          temperature: 0.2,
-        }),
+      // Identical prompt + model + parameters reuse the stored completion.
+      // The run date is left out so a rerun on a later day still matches.
+      const cacheKey = this.provider.describeRequest({
+        ...request,
+        prompt: prompt.replace(RUN_DATE_PATTERN, '$1<today>'),
       });
-
-      if (!response.ok) {
-        throw new Error(`AI API failed: ${response.status}`);
+      const cached = await getCache().get('completions', cacheKey);
+      if (cached) {
+        core.info('Using cached AI completion');
+        return cached;
       }
 
-      const data = await response.json();
-      return data.choices?.[0]?.message?.content || '';
+      core.info('Making AI API request...');
+      // Fixtures are keyed by the prompt alone so a replay works with any provider
+      const content = await getFixtures().replayable('completion', request, () =>
+        this.provider.complete(request)
+      );
+      if (content) {
+        await getCache().set('completions', cacheKey, content);
+      }
+      return content;
     } catch (error) {
+      if (error instanceof RateLimitError) {
+        this.aiRateLimited = true;
+      }
       core.warning(`AI generation failed: ${error.message}`);
       return null; // Will fall back to template
     }
   }
 
-  async collectDataFromSources() {
-    const sourceModules = (process.env.SOURCE_MODULES || 'discussion')
-      .split(',')
-      .map((s) => s.trim());
+  /**
+   * Run options from the environment, as set by the GitHub Actions workflow
+   */
+  getRunOptionsFromEnv() {
+    return {
+      docTypes: splitList(process.env.DOC_TYPE || 'summary', /[,\s]+/),
+      sources: splitList(process.env.SOURCE_MODULES || 'discussion'),
+      prNumbers: splitList(process.env.PR_NUMBERS),
+      issueNumbers: splitList(process.env.ISSUE_NUMBERS),
+      issueQuery: toIssueQuery({
+        search: process.env.ISSUE_QUERY,
+        labels: splitList(process.env.ISSUE_LABELS),
+        milestone: process.env.ISSUE_MILESTONE,
+        state: process.env.ISSUE_STATE,
+        since: process.env.ISSUE_SINCE,
+        until: process.env.ISSUE_UNTIL,
+      }),
+      jiraKeys: splitList(process.env.JIRA_KEYS),
+      publish: splitList(process.env.CHRONICLR_PUBLISH),
+      discussion: process.env.DISCUSSION_NUMBER
+        ? {
+            number: process.env.DISCUSSION_NUMBER,
+            title: process.env.DISCUSSION_TITLE || 'Discussion',
+            body: process.env.DISCUSSION_BODY || '',
+            author: process.env.DISCUSSION_AUTHOR || 'unknown',
+            url: process.env.DISCUSSION_URL || '',
+            series: process.env.MEETING_SERIES || null,
+          }
+        : null,
+    };
+  }
+
+  async collectDataFromSources(options = this.getRunOptionsFromEnv()) {
+    const sourceModules = options.sources;
 
     const collectedData = {
       discussion: null,
       prs: [],
       issues: [],
+      issueQuery: null,
       jiraIssues: [],
       sources: sourceModules,
     };
 
     // Collect Discussion Data
-    if (sourceModules.includes('discussion') && process.env.DISCUSSION_NUMBER) {
-      collectedData.discussion = {
-        number: process.env.DISCUSSION_NUMBER,
-        title: process.env.DISCUSSION_TITLE || 'Discussion',
-        body: process.env.DISCUSSION_BODY || '',
-        author: process.env.DISCUSSION_AUTHOR || 'unknown',
-        url: process.env.DISCUSSION_URL || '',
-      };
+    if (sourceModules.includes('discussion') && options.discussion) {
+      collectedData.discussion = await this.getDiscussionClient().fetchDiscussion(
+        options.discussion
+      );
       core.info(`✅ Collected discussion #${collectedData.discussion.number}`);
     }
 
     // Collect PR Data
-    if (sourceModules.includes('pr') && process.env.PR_NUMBERS) {
-      const prNumbers = process.env.PR_NUMBERS.split(',')
-        .map((n) => n.trim())
-        .filter((n) => n);
-      collectedData.prs = await this.prClient.fetchPullRequests(prNumbers);
+    if (sourceModules.includes('pr') && options.prNumbers.length > 0) {
+      collectedData.prs = await this.getPRClient().fetchPullRequests(
+        options.prNumbers
+      );
       core.info(`✅ Collected ${collectedData.prs.length} PRs`);
     }
 
+    // Collect Issue Data, by number and by query
+    const issueNumbers = options.issueNumbers || [];
+    if (sourceModules.includes('issues') && (issueNumbers.length > 0 || options.issueQuery)) {
+      collectedData.issues = await this.getIssuesClient().collectIssues(
+        issueNumbers,
+        options.issueQuery
+      );
+      if (options.issueQuery) {
+        collectedData.issueQuery = describeIssueQuery({
+          ...options.issueQuery,
+          search: [...issueNumbers.map((number) => `#${number}`), options.issueQuery.search]
+            .filter(Boolean)
+            .join(' '),
+        });
+      }
+      core.info(`✅ Collected ${collectedData.issues.length} issues`);
+    }
+
     // Collect Jira Data
-    if (sourceModules.includes('jira') && process.env.JIRA_KEYS) {
+    if (sourceModules.includes('jira') && options.jiraKeys.length > 0) {
       const jiraClient = this.getJiraClient();
-      const jiraKeys = process.env.JIRA_KEYS.split(',')
-        .map((k) => k.trim())
-        .filter((k) => k);
-      collectedData.jiraIssues = await jiraClient.fetchJiraIssues(jiraKeys);
+      collectedData.jiraIssues = await jiraClient.fetchJiraIssues(
+        options.jiraKeys
+      );
       core.info(`✅ Collected ${collectedData.jiraIssues.length} Jira issues`);
     }
 
@@ -128,9 +334,7 @@ class AIDocumentGenerator {
    * Validate that we have actual data sources to prevent fabrication
    */
   validateDataSources(data) {
-    const sourceModules = (process.env.SOURCE_MODULES || 'discussion')
-      .split(',')
-      .map((s) => s.trim());
+    const sourceModules = data.sources;
 
     let hasValidData = false;
     const validationResults = [];
@@ -185,6 +389,7 @@ class AIDocumentGenerator {
       core.error('💡 Suggestions:');
       core.error('  - Verify Jira issue keys exist and are accessible');
       core.error('  - Check GitHub PR/issue numbers are valid');  
+      core.error('  - Check the issue query, labels, milestone and dates match at least one issue');
       core.error('  - Ensure discussion numbers exist');
       core.error('  - Verify API credentials and permissions');
     }
@@ -192,36 +397,108 @@ class AIDocumentGenerator {
     return hasValidData;
   }
 
-  async createAIPrompt(docType, data, template) {
-    let prompt = `Create a ${docType} document with the following data:\n\n`;
+  /**
+   * Build the source data part of the prompt as condensable sections
+   */
+  async buildPromptSections(docType, data) {
+    const sections = [];
 
-    // Discussion data
+    // Discussion data, with its whole comment thread when it was fetched
     if (data.discussion) {
-      prompt += `**Discussion #${data.discussion.number}**: ${data.discussion.title}\n`;
-      prompt += `Author: @${data.discussion.author}\n`;
-      prompt += `Content: ${data.discussion.body}\n\n`;
+      const discussion = data.discussion;
+      const details = [
+        `Author: @${discussion.author}\n`,
+        discussion.category ? `Category: ${discussion.category}\n` : '',
+        discussion.labels?.length ? `Labels: ${discussion.labels.join(', ')}\n` : '',
+        Object.keys(discussion.reactions || {}).length
+          ? `Reactions: ${formatReactions(discussion.reactions)}\n`
+          : '',
+        discussion.answer ? `Accepted answer by @${discussion.answer.author}\n` : '',
+      ].join('');
+      sections.push({
+        title: 'Discussion',
+        condensable: true,
+        header:
+          `**Discussion #${discussion.number}**: ${discussion.title}\n` +
+          details +
+          `Content: `,
+        condensedHeader:
+          `**Discussion #${discussion.number}**: ${discussion.title}\n` +
+          details +
+          `Content (condensed):\n`,
+        items: [discussion.body, ...formatThread(discussion)],
+        footer: '\n\n',
+      });
     }
 
     // PR data - simplified
     if (data.prs.length > 0) {
-      prompt += `**Pull Requests:**\n`;
-      data.prs.forEach((pr) => {
-        prompt += `- PR #${pr.number}: ${pr.title} (${pr.state})\n`;
-        if (pr.jiraKeys.length > 0) {
-          prompt += `  Jira: ${pr.jiraKeys.join(', ')}\n`;
-        }
+      sections.push({
+        title: 'Pull Requests',
+        condensable: true,
+        header: `**Pull Requests:**\n`,
+        items: data.prs.map((pr) => {
+          let item = `- PR #${pr.number}: ${pr.title} (${pr.state})\n`;
+          if (pr.jiraKeys.length > 0) {
+            item += `  Jira: ${pr.jiraKeys.join(', ')}\n`;
+          }
+          return item;
+        }),
+        footer: `\n`,
+      });
+    }
+
+    // Issue data - each issue with its comments, after the totals
+    if (data.issues.length > 0) {
+      const summary = this.getIssuesClient().generateIssuesSummary(data.issues);
+      const breakdown = (groups) =>
+        Object.entries(groups)
+          .map(([name, issues]) => `${name} (${issues.length})`)
+          .join(', ');
+      const header =
+        `**GitHub Issues${data.issueQuery ? ` matching ${data.issueQuery}` : ''}:** ` +
+        `${summary.totalIssues} total, ${summary.openIssues} open, ${summary.closedIssues} closed\n` +
+        (summary.labels.length > 0 ? `By label: ${breakdown(summary.issuesByLabel)}\n` : '') +
+        (summary.milestones.length > 0 ? `By milestone: ${breakdown(summary.issuesByMilestone)}\n` : '');
+      sections.push({
+        title: 'GitHub Issues',
+        condensable: true,
+        header: `${header}\n`,
+        items: data.issues.map((issue) => {
+          const details = [
+            issue.labels.length > 0 && `Labels: ${issue.labels.map((label) => label.name).join(', ')}`,
+            issue.milestone && `Milestone: ${issue.milestone.title}`,
+            issue.assignees.length > 0 && `Assignees: ${issue.assignees.map((login) => `@${login}`).join(', ')}`,
+          ].filter(Boolean);
+          let item = `- Issue #${issue.number}: ${issue.title} (${issue.state}, by @${issue.author})\n`;
+          if (details.length > 0) {
+            item += `  ${details.join('; ')}\n`;
+          }
+          if (issue.body) {
+            item += `  ${issue.body.replace(/\n/g, '\n  ')}\n`;
+          }
+          (issue.comments || []).forEach((comment) => {
+            item += `  > **@${comment.author}:** ${comment.body.replace(/\n/g, '\n  > ')}\n`;
+          });
+          return item;
+        }),
+        footer: `\n`,
       });
-      prompt += `\n`;
     }
 
     // Jira data - detailed for sprint-status documents
     if (data.jiraIssues.length > 0) {
-      prompt += `**Jira Issues:**\n`;
-      data.jiraIssues.forEach((issue) => {
-        prompt += `- ${issue.key}: ${issue.summary} (${issue.status}, ${issue.priority})\n`;
-        prompt += `  Type: ${issue.issueType}, Assignee: ${issue.assignee}\n`;
+      sections.push({
+        title: 'Jira Issues',
+        condensable: true,
+        header: `**Jira Issues:**\n`,
+        items: data.jiraIssues.map(
+          (issue) =>
+            `- ${issue.key}: ${issue.summary} (${issue.status}, ${issue.priority})\n` +
+            `  Type: ${issue.issueType}, Assignee: ${issue.assignee}\n`
+        ),
+        footer: `\n`,
       });
-      prompt += `\n`;
 
       // For sprint-status documents, include detailed sprint data
       if (docType === 'sprint-status') {
@@ -230,32 +507,47 @@ class AIDocumentGenerator {
           const sprintData = await jiraClient.generateSprintStatusReport(
             data.jiraIssues,
             data.prs && data.prs.length > 0
-              ? this.prClient.generatePRTestingReport(data.prs)
+              ? this.getPRClient().generatePRTestingReport(data.prs)
               : null
           );
 
-          prompt += `**Sprint Information:**\n`;
-          prompt += `- Sprint: ${sprintData.sprintName}\n`;
-          prompt += `- Status: ${sprintData.sprintStatus}\n`;
-          prompt += `- Duration: ${sprintData.sprintStartDate} to ${sprintData.sprintEndDate}\n`;
-          prompt += `- Goal: ${sprintData.sprintGoal}\n`;
-          prompt += `- Progress: ${sprintData.sprintProgress}%\n`;
-          prompt += `- Days Remaining: ${sprintData.daysRemaining}\n`;
-          prompt += `- Total Issues: ${sprintData.totalJiraIssues}\n\n`;
+          let sprintInfo = `**Sprint Information:**\n`;
+          sprintInfo += `- Sprint: ${sprintData.sprintName}\n`;
+          sprintInfo += `- Status: ${sprintData.sprintStatus}\n`;
+          sprintInfo += `- Duration: ${sprintData.sprintStartDate} to ${sprintData.sprintEndDate}\n`;
+          sprintInfo += `- Goal: ${sprintData.sprintGoal}\n`;
+          sprintInfo += `- Progress: ${sprintData.sprintProgress}%\n`;
+          sprintInfo += `- Days Remaining: ${sprintData.daysRemaining}\n`;
+          sprintInfo += `- Total Issues: ${sprintData.totalJiraIssues}\n\n`;
 
-          prompt += `**Issue Status Breakdown:**\n`;
+          sprintInfo += `**Issue Status Breakdown:**\n`;
           Object.entries(sprintData.issuesByStatus).forEach(([status, issues]) => {
-            prompt += `- ${status}: ${issues.length} issues\n`;
+            sprintInfo += `- ${status}: ${issues.length} issues\n`;
+          });
+          sprintInfo += `\n`;
+
+          sections.push({
+            title: 'Sprint Information',
+            condensable: false,
+            items: [sprintInfo],
           });
-          prompt += `\n`;
         }
       }
     }
 
-    prompt += `Use this template structure:\n${template}\n\n`;
-    
+    return sections;
+  }
+
+  /**
+   * Template and instructions that follow the source data in the prompt
+   */
+  async buildPromptInstructions(docType, template) {
+    // The model sees the template's outline, not its block and filter syntax
+    const outline = this.getTemplateEngine().outline(template);
+    let instructions = `Use this template structure:\n${outline}\n\n`;
+
     if (docType === 'release') {
-      prompt += `For release documentation:
+      instructions += `For release documentation:
 - Generate a realistic release date (within 1-2 weeks from today)
 - Create bullet points for "What is included" based on the Jira issues and PRs
 - Write a compelling "Why this matters" statement based on the changes
@@ -264,68 +556,327 @@ class AIDocumentGenerator {
 - Use a professional but accessible tone
 `;
     }
-    
-    prompt += `Replace all {placeholders} with actual values from the data above. Use today's date: ${
+
+    if (docType === 'adr') {
+      instructions += `For architecture decision records:
+- Write the title as a short statement of the decision, e.g. "Use PostgreSQL for the event store"
+- Draw the context, options and decision from the discussion and its comments
+- List every option discussed with its pros and cons, including the chosen one
+- Set the status to Accepted only if the discussion reached a decision, else Proposed
+- Include both positive and negative consequences
+`;
+    }
+
+    instructions += `Replace all {placeholders} with actual values from the data above. Use today's date: ${
       new Date().toISOString().split('T')[0]
     }. Do not fabricate any data - only use the real data provided above.`;
 
+    return instructions;
+  }
+
+  /**
+   * Instructions for structured mode: reply with JSON matching the schema
+   */
+  buildStructuredInstructions(docType, schema) {
+    return `Respond with a single JSON object for the ${docType} document that validates against this JSON Schema:
+${schemaForPrompt(schema)}
+
+Output only the JSON object, with no markdown and no commentary. Use today's date where a date is needed: ${
+      new Date().toISOString().split('T')[0]
+    }. Only use the real data provided above; use "TBD" for values the data does not contain. Do not fabricate any data.`;
+  }
+
+  assemblePrompt(docType, sections, instructions) {
+    let prompt = `Create a ${docType} document with the following data:\n\n`;
+    prompt += renderSections(sections);
+    prompt += instructions;
     return prompt;
   }
 
-  async loadTemplate(docType) {
-    const templatePath = path.join(
-      process.cwd(),
-      'src',
-      'templates',
-      `${docType}.md`
+  async createAIPrompt(docType, data, template) {
+    const sections = await this.buildPromptSections(docType, data);
+    return this.assemblePrompt(
+      docType,
+      sections,
+      await this.buildPromptInstructions(docType, template)
     );
+  }
+
+  /**
+   * Create a prompt that fits the model's context window, condensing
+   * oversized discussions, PR sets and Jira lists with map-reduce first
+   */
+  async createBudgetedPrompt(docType, data, instructions) {
+    const sections = await this.buildPromptSections(docType, data);
+    const { sections: fitted, condensation } =
+      await this.promptBuilder.fitSections(docType, sections, instructions);
+
+    return {
+      prompt: this.assemblePrompt(docType, fitted, instructions),
+      condensation,
+      // Uncondensed source data, used to fact-check the output
+      sourceText: renderSections(sections),
+    };
+  }
+
+  /**
+   * Tell readers the document was generated from condensed source data
+   */
+  addCondensationNote(content, condensation) {
+    const details = condensation.sections
+      .map(
+        (section) =>
+          `${section.title}: ${section.chunks} chunk(s), ~${section.originalTokens} → ~${section.condensedTokens} tokens`
+      )
+      .join('; ');
+    const note = `> ℹ️ **Note:** Source material exceeded the model context window and was condensed before generation (${details}).\n`;
+
+    const footerIndex = content.lastIndexOf('\n---\n');
+    if (footerIndex === -1) {
+      return `${content.trimEnd()}\n\n${note}`;
+    }
+    return `${content.slice(0, footerIndex)}\n${note}${content.slice(footerIndex)}`;
+  }
+
+  /**
+   * Template metadata (description, sources, variables, labels) by doc type
+   */
+  getTemplateCatalog() {
+    if (!this.templateCatalog) {
+      this.templateCatalog = loadTemplateCatalog(this.templateResolver);
+    }
+    return this.templateCatalog;
+  }
+
+  /**
+   * Template body for a document type, without its front-matter
+   */
+  async loadTemplate(docType) {
+    const templatePath = this.templateResolver.resolve(docType);
+    if (!templatePath) {
+      throw new Error(`No template found for ${docType}`);
+    }
     try {
-      const template = await fs.readFile(templatePath, 'utf8');
-      return template;
+      const { body } = parseFrontMatter(await fs.readFile(templatePath, 'utf8'));
+      return body;
     } catch (error) {
-      core.warning(`Template not found for ${docType}, using basic template`);
-      return `# {title}\n\n**Date:** {date}\n**Type:** ${docType}\n\n## Content\n\n{content}\n\n---\n*This document was automatically generated by Chroniclr*`;
+      throw new Error(`Failed to load template for ${docType}: ${error.message}`);
     }
   }
 
-  async generateDocument() {
+  async loadSchema(docType) {
+    const schemaPath = this.templateResolver.schemaPath(docType);
     try {
-      const docTypesString = process.env.DOC_TYPE || 'summary';
-      
-      // Support both comma and space separated document types
-      const docTypes = docTypesString
-        .split(/[,\s]+/)
-        .map((type) => type.trim())
-        .filter((type) => type);
+      if (!schemaPath) {
+        throw new Error('not found');
+      }
+      return JSON.parse(await fs.readFile(schemaPath, 'utf8'));
+    } catch (error) {
+      core.info(`No JSON schema for ${docType}, using markdown generation`);
+      return null;
+    }
+  }
 
-      // Validate document types against available templates
-      const validTypes = [];
-      const invalidTypes = [];
-      
-      for (const docType of docTypes) {
-        try {
-          await this.loadTemplate(docType);
-          validTypes.push(docType);
-        } catch (error) {
-          invalidTypes.push(docType);
-          core.warning(`⚠️ Skipping invalid document type: ${docType} (template not found)`);
+  /**
+   * Structured mode: ask the model for schema-valid JSON, retry with the
+   * validation errors if needed, then render the markdown ourselves
+   */
+  async generateStructuredContent(docType, data, template, schema) {
+    const { prompt, condensation, sourceText } = await this.createBudgetedPrompt(
+      docType,
+      data,
+      this.buildStructuredInstructions(docType, schema)
+    );
+
+    let response = await this.generateCompletion(prompt);
+    let values = null;
+
+    for (let attempt = 0; response && attempt <= this.maxRepairAttempts; attempt++) {
+      let errors;
+      try {
+        const parsed = parseJSONResponse(response);
+        errors = validateSchema(parsed, schema);
+        if (errors.length === 0) {
+          values = parsed;
+          break;
         }
+      } catch (error) {
+        errors = [`Invalid JSON: ${error.message}`];
+      }
+
+      core.warning(
+        `⚠️ ${docType} JSON failed validation:\n${errors.map((e) => `  - ${e}`).join('\n')}`
+      );
+      if (attempt === this.maxRepairAttempts) {
+        break;
+      }
+
+      core.info(`🔧 Asking the model to repair ${docType} JSON`);
+      response = await this.generateCompletion(
+        `The JSON below does not validate against the schema.
+
+Errors:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Schema:
+${schemaForPrompt(schema)}
+
+JSON:
+${response}
+
+Return only the corrected JSON object.`
+      );
+    }
+
+    if (!values) {
+      core.warning(`Structured generation failed for ${docType}, falling back to template`);
+      return null;
+    }
+
+    core.info(`✅ ${docType} JSON validated against schema`);
+    const content = await this.fillTemplate(
+      template,
+      data,
+      docType,
+      structuredTemplateValues(schema, values)
+    );
+    return {
+      content: condensation ? this.addCondensationNote(content, condensation) : content,
+      sourceText,
+      values,
+    };
+  }
+
+  /**
+   * Generate a document with the model. Returns { content, sourceText },
+   * or null when the caller should fall back to the template.
+   */
+  async generateAIContent(docType, data, template) {
+    const schema =
+      this.outputMode === 'json' ? await this.loadSchema(docType) : null;
+
+    if (schema) {
+      return this.generateStructuredContent(docType, data, template, schema);
+    }
+
+    const { prompt, condensation, sourceText } = await this.createBudgetedPrompt(
+      docType,
+      data,
+      await this.buildPromptInstructions(docType, template)
+    );
+    const content = await this.generateCompletion(prompt);
+    if (!content) {
+      return null;
+    }
+    return {
+      content: condensation ? this.addCondensationNote(content, condensation) : content,
+      sourceText,
+    };
+  }
+
+  /**
+   * Numbers derived from the source data that generated text may quote
+   */
+  collectKnownMetrics(data) {
+    const metrics = [data.prs.length, data.issues.length, data.jiraIssues.length];
+
+    if (data.prs.length > 0) {
+      const prReport = this.getPRClient().generatePRTestingReport(data.prs);
+      metrics.push(
+        ...Object.values(prReport).filter((value) => typeof value === 'number')
+      );
+    }
+
+    if (data.issues.length > 0) {
+      const issuesSummary = this.getIssuesClient().generateIssuesSummary(data.issues);
+      metrics.push(
+        issuesSummary.totalIssues,
+        issuesSummary.openIssues,
+        issuesSummary.closedIssues
+      );
+    }
+
+    const statusCounts = {};
+    data.jiraIssues.forEach((issue) => {
+      statusCounts[issue.status] = (statusCounts[issue.status] || 0) + 1;
+    });
+    metrics.push(...Object.values(statusCounts));
+
+    return metrics;
+  }
+
+  /**
+   * Check AI output against the collected data. Returns the (possibly
+   * flagged or stripped) content and whether it stayed under the threshold.
+   */
+  verifyContent(docType, data, content, sourceText, template) {
+    if (this.factVerifier.mode === 'off') {
+      return { content, passed: true };
+    }
+
+    const report = this.factVerifier.verify(content, data, {
+      docType,
+      sourceText: `${sourceText}\n${template}`,
+      metrics: this.collectKnownMetrics(data),
+    });
+    this.factVerifier.logReport(docType, report);
+
+    return {
+      content: this.factVerifier.apply(content, report),
+      passed: report.passed,
+      report,
+    };
+  }
+
+  /**
+   * Generate documents. Options come from the environment in GitHub Actions
+   * and from command-line arguments when run through bin/chroniclr.
+   */
+  async generateDocument(options = this.getRunOptionsFromEnv()) {
+    try {
+      const docTypes = options.docTypes;
+      if (options.outputDir) {
+        this.outputDir = options.outputDir;
       }
+      this.dryRun = Boolean(options.dryRun);
+      this.formats = options.formats?.length > 0 ? options.formats : null;
+
+      // Validate document types against available templates
+      const catalog = this.getTemplateCatalog();
+      const availableTypes = Object.keys(catalog);
+      const validTypes = docTypes.filter((docType) => catalog[docType]);
+      const invalidTypes = docTypes.filter((docType) => !catalog[docType]);
+
+      invalidTypes.forEach((docType) =>
+        core.warning(`⚠️ Skipping invalid document type: ${docType} (template not found)`)
+      );
 
       if (invalidTypes.length > 0) {
         core.warning(`❌ Invalid document types skipped: ${invalidTypes.join(', ')}`);
       }
 
       if (validTypes.length === 0) {
-        throw new Error('No valid document types provided. Available types: summary, sprint-status, pr-report, meeting-notes, initiative-brief, changelog, release');
+        throw new Error(
+          `No valid document types provided. Available types: ${availableTypes.join(', ')}`
+        );
       }
 
+      // Fail on unknown output formats, publishers and webhook formats before any API calls are made
+      validTypes.forEach((docType) => resolveFormats(this.config, docType, this.formats));
+      const publishers = selectPublishers(this.config, options.publish || []);
+      const webhooks = selectWebhooks(this.config);
+
       core.info(
         `Generating ${validTypes.length} document types: ${validTypes.join(', ')}`
       );
 
+      if (process.env.CHRONICLR_CACHE_CLEAR === '1') {
+        await getCache().clear();
+      }
+
       // Collect data from enabled sources
-      const data = await this.collectDataFromSources();
+      const data = await this.collectDataFromSources(options);
+      getFixtures().recordRun(options, data);
 
       // Validate that we have actual data to work with
       const hasValidData = this.validateDataSources(data);
@@ -333,32 +884,83 @@ class AIDocumentGenerator {
         throw new Error('No valid data sources found. Cannot generate documentation without actual data to prevent fabrication.');
       }
 
+      // Each template declares the sources it needs in its front-matter
+      const typesToGenerate = validTypes.filter((docType) => {
+        const { missingRequired, missingOptional } = checkTemplateSources(catalog[docType], data);
+        if (missingRequired.length > 0) {
+          core.error(
+            `🚫 Skipping ${docType}: requires ${missingRequired.join(', ')} data, which this run did not collect`
+          );
+          return false;
+        }
+        if (missingOptional.length > 0) {
+          core.warning(
+            `⚠️ ${docType} uses ${missingOptional.join(', ')} data, which this run did not collect; those sections will be sparse`
+          );
+        }
+        return true;
+      });
+
+      if (typesToGenerate.length === 0) {
+        throw new Error(
+          `None of the requested document types (${validTypes.join(', ')}) can be generated from the collected sources`
+        );
+      }
+
       // Generate documents with AI enhancement and template fallback
       const results = [];
-      for (const docType of validTypes) {
+      const verificationFailures = [];
+      for (const docType of typesToGenerate) {
         try {
           core.info(`Generating ${docType} document...`);
 
           const template = await this.loadTemplate(docType);
           let content;
+          let values = {};
 
-          // Try AI generation first
+          // Try AI generation first, unless the model budget is already spent
           try {
-            const prompt = await this.createAIPrompt(docType, data, template);
-            content = await this.generateCompletion(prompt);
+            if (this.aiRateLimited && this.preferTemplates) {
+              core.warning(
+                `⏳ AI rate limit reached earlier in this run, using template for ${docType}`
+              );
+              content = null;
+            } else {
+              const generated = await this.generateAIContent(
+                docType,
+                data,
+                template
+              );
+
+              if (generated) {
+                const verified = this.verifyContent(
+                  docType,
+                  data,
+                  generated.content,
+                  generated.sourceText,
+                  template
+                );
+                if (!verified.passed) {
+                  verificationFailures.push(docType);
+                  continue;
+                }
+                content = verified.content;
+                values = generated.values || {};
+              }
+            }
           } catch (error) {
             core.warning(
-              `AI generation failed for ${docType}, falling back to template`
+              `AI generation failed for ${docType}, falling back to template: ${error.message}`
             );
             content = null;
           }
 
           // Fallback to template if AI failed
           if (!content) {
-            content = await this.fillTemplate(template, data);
+            content = await this.fillTemplate(template, data, docType);
           }
 
-          const result = await this.saveDocument(docType, data, content);
+          const result = await this.saveDocument(docType, data, content, values);
           if (result) {
             results.push(result);
           }
@@ -367,193 +969,318 @@ class AIDocumentGenerator {
         }
       }
 
+      this.reportMergeConflicts(results);
+      if (!this.dryRun && results.length > 0) {
+        await this.updateDocumentIndex();
+      }
+      const publishFailures = await this.deliverResults(publishers, webhooks, results, data);
+
+      if (verificationFailures.length > 0) {
+        throw new Error(
+          `Fact verification failed for: ${verificationFailures.join(', ')}. Generated content referenced data that is not in the collected sources.`
+        );
+      }
+
       if (results.length === 0) {
         throw new Error('No documents were generated successfully');
       }
 
+      if (publishFailures.length > 0) {
+        throw new Error(`Publishing failed for: ${publishFailures.join(', ')}`);
+      }
+
       core.info(`✅ Generated ${results.length}/${validTypes.length} documents`);
+      getRequestQueue().logSummary();
+      getCache().logSummary();
+      getFixtures().logSummary();
       return results;
     } catch (error) {
       core.error(`Document generation failed: ${error.message}`);
       throw error;
+    } finally {
+      // Failed runs are recorded too, so they can be reproduced offline
+      await getFixtures().save();
     }
   }
 
-  // Simple template filling for fallback
-  async fillTemplate(template, data) {
-    const currentDate = new Date().toISOString().split('T')[0];
-    let content = template;
+  /**
+   * Refresh the document table in <outputDir>/README.md and index.json,
+   * and the decision log in <outputDir>/adr/README.md
+   */
+  async updateDocumentIndex() {
+    try {
+      const decisions = await writeDecisionLog(
+        path.resolve(process.cwd(), this.outputDir, ADR_FOLDER)
+      );
+      if (decisions > 0) {
+        core.info(`🗳️ Listed ${decisions} decision(s) in ${this.outputDir}/${ADR_FOLDER}/README.md`);
+      }
+      const count = await writeDocumentIndex(
+        path.resolve(process.cwd(), this.outputDir),
+        Object.keys(this.getTemplateCatalog())
+      );
+      core.info(`🗂️ Indexed ${count} document(s) in ${this.outputDir}/README.md and index.json`);
+    } catch (error) {
+      core.warning(`Failed to update the document index: ${error.message}`);
+    }
+  }
 
-    // Basic replacements
-    content = content
-      .replace(
-        /\{title\}/g,
-        data.discussion?.title || 'Generated Documentation'
-      )
-      .replace(/\{date\}/g, currentDate)
-      .replace(
-        /\{time\}/g,
-        new Date().toLocaleTimeString('en-US', { timeZone: 'UTC' })
-      )
-      .replace(/\{lastUpdated\}/g, currentDate)
-      .replace(/\{status\}/g, 'Active')
-      .replace(/\{discussionNumber\}/g, data.discussion?.number || '')
-      .replace(/\{discussionUrl\}/g, data.discussion?.url || '');
-
-    // PR-specific template filling (for pr-report template)
-    if (data.prs && data.prs.length > 0) {
-      const prTestingData = this.prClient.generatePRTestingReport(data.prs);
-
-      content = content
-        .replace(/\{totalPRs\}/g, prTestingData.totalPRs || 0)
-        .replace(/\{mergedPRs\}/g, prTestingData.mergedPRs || 0)
-        .replace(/\{openPRs\}/g, prTestingData.openPRs || 0)
-        .replace(
-          /\{authors\}/g,
-          prTestingData.authors ? prTestingData.authors.join(', ') : 'None'
-        )
-        .replace(/\{filesChanged\}/g, prTestingData.filesChanged || 0)
-        .replace(/\{linesAdded\}/g, prTestingData.linesAdded || 0)
-        .replace(/\{linesDeleted\}/g, prTestingData.linesDeleted || 0)
-        .replace(/\{netChange\}/g, prTestingData.netChange || 0)
-        .replace(/\{testCoverage\}/g, prTestingData.testCoverage || 0)
-        .replace(/\{reviewCoverage\}/g, prTestingData.reviewCoverage || 0)
-        .replace(/\{testFilesCount\}/g, prTestingData.testFilesCount || 0)
-        .replace(/\{avgFilesPerPR\}/g, prTestingData.avgFilesPerPR || 0)
-        .replace(/\{codeChurn\}/g, prTestingData.codeChurn || 0)
-        .replace(
-          /\{testingNotes\}/g,
-          prTestingData.testingNotes || 'No testing information available.'
-        )
-        .replace(
-          /\{prDetails\}/g,
-          prTestingData.prDetails
-            ? prTestingData.prDetails.join('\n\n')
-            : 'No PR details available.'
-        )
-        .replace(/\{prLinks\}/g, prTestingData.prLinks || 'No PRs referenced.')
-        .replace(
-          /\{deploymentStatus\}/g,
-          prTestingData.deploymentStatus || 'Unknown'
-        )
-        .replace(
-          /\{recommendations\}/g,
-          prTestingData.recommendations || 'No specific recommendations.'
-        )
-        .replace(
-          /\{jiraKeys\}/g,
-          prTestingData.jiraKeys ? prTestingData.jiraKeys.join(', ') : 'None'
+  /**
+   * Sections where hand edits and the regeneration both changed the same
+   * text keep the hand-edited version. They are listed in the
+   * `merge_conflicts` step output, which the workflow adds to the PR body.
+   */
+  reportMergeConflicts(results) {
+    const conflicts = results.flatMap((result) => result.conflicts || []);
+    if (conflicts.length === 0) {
+      return;
+    }
+
+    const lines = [
+      '### ⚠️ Merge Conflicts',
+      '',
+      'These sections were edited by hand and also changed by the regeneration. The hand-edited version was kept; review the regenerated text and apply what is still needed.',
+      '',
+    ];
+    for (const conflict of conflicts) {
+      core.warning(`🔀 ${conflict.file} › ${conflict.section}: ${conflict.reason}`);
+      lines.push(`- \`${conflict.file}\` › **${conflict.section}**: ${conflict.reason}`);
+      if (conflict.regenerated) {
+        const text =
+          conflict.regenerated.length > MAX_CONFLICT_EXCERPT
+            ? `${conflict.regenerated.slice(0, MAX_CONFLICT_EXCERPT)}\n…`
+            : conflict.regenerated;
+        lines.push(
+          '  <details><summary>Regenerated version</summary>',
+          '',
+          '  ```markdown',
+          ...text.split('\n').map((line) => `  ${line}`),
+          '  ```',
+          '  </details>'
         );
+      }
     }
+    core.setOutput('merge_conflicts', lines.join('\n'));
+  }
 
-    // Jira-specific replacements
-    if (data.jiraIssues && data.jiraIssues.length > 0) {
-      const jiraLinks = data.jiraIssues
-        .map((issue) => `- [${issue.key}: ${issue.summary}](${issue.url})`)
-        .join('\n');
+  /**
+   * Send saved documents to the configured publishers (Confluence, wiki),
+   * post digests to the notification webhooks and open issues for action
+   * items. Returns the documents that failed to publish; notification and
+   * issue failures are only logged.
+   */
+  async deliverResults(publishers, webhooks, results, data) {
+    const actionItems = new ActionItemIssues(this.config.github?.actionItems);
+    if (
+      (publishers.length === 0 && webhooks.length === 0 && !actionItems.enabled) ||
+      results.length === 0
+    ) {
+      return [];
+    }
+    if (getFixtures().replaying) {
+      core.info('📤 Fixture replay: skipping publishing, notifications and action item issues');
+      return [];
+    }
+
+    const publishFailures = await publishDocuments(publishers, results, {
+      dryRun: this.dryRun,
+    });
+    await notifyDocuments(webhooks, results, data, { dryRun: this.dryRun });
+    if (actionItems.enabled) {
+      await actionItems.track(results, data, { dryRun: this.dryRun });
+    }
+    return publishFailures;
+  }
+
+  /**
+   * Template engine with the partials from the built-in and override
+   * partials/ directories
+   */
+  getTemplateEngine() {
+    if (!this.templateEngine) {
+      this.templateEngine = new TemplateEngine({
+        partials: this.templateResolver.loadPartials(),
+      });
+    }
+    return this.templateEngine;
+  }
+
+  /**
+   * The single data context templates render against. Values that only
+   * exist for some sources are left undefined so templates can test them
+   * with {#if}; unset placeholders render as TBD.
+   */
+  async buildTemplateContext(data, docType) {
+    const currentDate = new Date().toISOString().split('T')[0];
+    const context = {
+      docType,
+      title: data.discussion?.title || 'Generated Documentation',
+      date: currentDate,
+      time: new Date().toLocaleTimeString('en-US', { timeZone: 'UTC' }),
+      lastUpdated: currentDate,
+      status: 'Active',
+      discussionNumber: data.discussion?.number || '',
+      discussionUrl: data.discussion?.url || '',
+      discussion: data.discussion,
+      prs: data.prs || [],
+      issues: data.issues || [],
+      jiraIssues: data.jiraIssues || [],
+    };
+
+    if (context.prs.length > 0) {
+      const prTestingData = this.getPRClient().generatePRTestingReport(context.prs);
+
+      Object.assign(context, {
+        totalPRs: prTestingData.totalPRs || 0,
+        mergedPRs: prTestingData.mergedPRs || 0,
+        openPRs: prTestingData.openPRs || 0,
+        authors: prTestingData.authors?.length ? prTestingData.authors : 'None',
+        filesChanged: prTestingData.filesChanged || 0,
+        linesAdded: prTestingData.linesAdded || 0,
+        linesDeleted: prTestingData.linesDeleted || 0,
+        netChange: prTestingData.netChange || 0,
+        testCoverage: prTestingData.testCoverage || 0,
+        reviewCoverage: prTestingData.reviewCoverage || 0,
+        testFilesCount: prTestingData.testFilesCount || 0,
+        avgFilesPerPR: prTestingData.avgFilesPerPR || 0,
+        codeChurn: prTestingData.codeChurn || 0,
+        testingNotes: prTestingData.testingNotes || 'No testing information available.',
+        prDetails: prTestingData.prDetails
+          ? prTestingData.prDetails.join('\n\n')
+          : 'No PR details available.',
+        prLinks: prTestingData.prLinks || 'No PRs referenced.',
+        deploymentStatus: prTestingData.deploymentStatus || 'Unknown',
+        recommendations: prTestingData.recommendations || 'No specific recommendations.',
+        jiraKeys: prTestingData.jiraKeys?.length ? prTestingData.jiraKeys : 'None',
+      });
+    }
 
-      content = content.replace(/\{jiraDetails\}/g, jiraLinks);
+    if (context.issues.length > 0) {
+      const summary = this.getIssuesClient().generateIssuesSummary(context.issues);
+      const breakdown = (groups) =>
+        Object.entries(groups)
+          .map(([name, issues]) => `- **${name}:** ${issues.map((issue) => `#${issue.number}`).join(', ')}`)
+          .join('\n');
 
-      // Add Jira footer
-      const jiraFooter = `**Jira Issues:** ${data.jiraIssues
-        .map((issue) => issue.key)
-        .join(', ')}`;
-      content = content.replace(/\{jiraFooter\}/g, jiraFooter);
+      Object.assign(context, {
+        issueQuery: data.issueQuery || null,
+        totalIssues: summary.totalIssues,
+        openIssues: summary.openIssues,
+        closedIssues: summary.closedIssues,
+        issueAuthors: summary.authors,
+        issueLabels: summary.labels,
+        issueMilestones: summary.milestones,
+        issuesByLabel: breakdown(summary.issuesByLabel) || 'No labels',
+        issuesByMilestone: breakdown(summary.issuesByMilestone),
+      });
     }
 
-    // Sprint status specific replacements (for sprint-status template)
-    if (data.jiraIssues && data.jiraIssues.length > 0) {
+    // Sprint status data, for the sprint-status template
+    if (context.jiraIssues.length > 0) {
       const jiraClient = this.getJiraClient();
       if (jiraClient.enabled) {
         const sprintData = await jiraClient.generateSprintStatusReport(
-          data.jiraIssues,
-          data.prs && data.prs.length > 0
-            ? this.prClient.generatePRTestingReport(data.prs)
+          context.jiraIssues,
+          context.prs.length > 0
+            ? this.getPRClient().generatePRTestingReport(context.prs)
             : null
         );
 
-        content = content
-          .replace(/\{sprintName\}/g, sprintData.sprintName || 'Current Sprint')
-          .replace(/\{sprintStatus\}/g, sprintData.sprintStatus || 'Active')
-          .replace(/\{sprintStartDate\}/g, sprintData.sprintStartDate || 'TBD')
-          .replace(/\{sprintEndDate\}/g, sprintData.sprintEndDate || 'TBD')
-          .replace(/\{sprintGoal\}/g, sprintData.sprintGoal || 'No goal set')
-          .replace(/\{sprintProgress\}/g, sprintData.sprintProgress || 0)
-          .replace(/\{daysRemaining\}/g, sprintData.daysRemaining || 'Unknown')
-          .replace(
-            /\{ticketStatusTable\}/g,
-            sprintData.ticketStatusTable || 'No data'
-          )
-          .replace(/\{totalJiraIssues\}/g, sprintData.totalJiraIssues || 0)
-          .replace(
-            /\{jiraIssuesByStatus\}/g,
-            sprintData.jiraIssuesByStatus || 'No issues'
-          )
-          .replace(
-            /\{jiraIssuesByPriority\}/g,
-            sprintData.jiraIssuesByPriority || 'No priority data'
-          )
-          .replace(
-            /\{jiraIssueDetails\}/g,
-            sprintData.jiraIssueDetails || 'No issue details'
-          )
-          .replace(
-            /\{sprintActionItems\}/g,
-            sprintData.sprintActionItems || 'No action items'
-          )
-          .replace(
-            /\{sprintRisks\}/g,
-            sprintData.sprintRisks || 'No risks identified'
-          )
-          .replace(/\{jiraBoardUrl\}/g, sprintData.jiraBoardUrl || '#');
-
-        // Show highlighting note only if we're using complete sprint data and have requested issues
-        if (!sprintData.usingCompleteSprintData || sprintData.requestedIssues.length === 0) {
-          content = content.replace(/> 🎯 \*\*Note:\*\* Issues marked with 🎯 were specifically requested for this report\.\n\n/g, '');
-        }
+        Object.assign(context, {
+          sprintName: sprintData.sprintName || 'Current Sprint',
+          sprintStatus: sprintData.sprintStatus || 'Active',
+          sprintStartDate: sprintData.sprintStartDate || 'TBD',
+          sprintEndDate: sprintData.sprintEndDate || 'TBD',
+          sprintGoal: sprintData.sprintGoal || 'No goal set',
+          sprintProgress: sprintData.sprintProgress || 0,
+          daysRemaining: sprintData.daysRemaining || 'Unknown',
+          // Empty when there are no tickets; the template prints a note instead of a table
+          ticketStatusTable: sprintData.ticketStatusTable || '',
+          totalJiraIssues: sprintData.totalJiraIssues || 0,
+          jiraIssuesByStatus: sprintData.jiraIssuesByStatus || 'No issues',
+          jiraIssuesByPriority: sprintData.jiraIssuesByPriority || 'No priority data',
+          jiraIssueDetails: sprintData.jiraIssueDetails || 'No issue details',
+          sprintActionItems: sprintData.sprintActionItems || 'No action items',
+          sprintRisks: sprintData.sprintRisks || 'No risks identified',
+          jiraBoardUrl: sprintData.jiraBoardUrl || '#',
+          // Requested issues are only marked when the full sprint was fetched
+          highlightRequested:
+            sprintData.usingCompleteSprintData &&
+            sprintData.requestedIssues.length > 0,
+        });
       }
     }
 
-    // Release-specific replacements
+    // Without the model, a decision record still carries what the
+    // discussion states outright: its body as the context, everyone who
+    // took part as deciders and the accepted answer as the decision
+    if (docType === 'adr') {
+      const discussion = data.discussion || {};
+      const participants = [
+        discussion.author,
+        ...(discussion.comments || []).flatMap((comment) => [
+          comment.author,
+          ...(comment.replies || []).map((reply) => reply.author),
+        ]),
+      ].filter((login) => login && login !== 'unknown' && login !== 'ghost');
+
+      Object.assign(context, {
+        adrStatus: 'Proposed',
+        deciders: [...new Set(participants)].map((login) => `@${login}`).join(', ') || undefined,
+        decisionContext: discussion.body?.trim() || undefined,
+        decision: discussion.answer?.body?.trim() || undefined,
+      });
+    }
+
     if (docType === 'release') {
-      const currentDate = new Date().toISOString().split('T')[0];
-      const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 7); // Default to 1 week from now
-      
-      // Generate release content from available data
-      let releaseContent = 'Release content to be determined';
-      if (data.jiraIssues && data.jiraIssues.length > 0) {
-        releaseContent = data.jiraIssues
-          .map(issue => `- ${issue.summary} (${issue.key})`)
-          .join('\n');
-      } else if (data.prs && data.prs.length > 0) {
-        releaseContent = data.prs
-          .map(pr => `- ${pr.title} (#${pr.number})`)
-          .join('\n');
-      }
-      
-      content = content
-        .replace(/\{projectName\}/g, 'Project')
-        .replace(/\{releaseDate\}/g, futureDate.toISOString().split('T')[0])
-        .replace(/\{releaseTime\}/g, '1:00 PM')
-        .replace(/\{timezone\}/g, 'Central time')
-        .replace(/\{version\}/g, 'TBD')
-        .replace(/\{releaseManager\}/g, 'TBD')
-        .replace(/\{contactPerson\}/g, 'the release team')
-        .replace(/\{rollbackPlan\}/g, 'Standard rollback procedures apply')
-        .replace(/\{releaseContent\}/g, releaseContent)
-        .replace(/\{whyMatters\}/g, 'This release provides important updates and improvements')
-        .replace(/\{impact\}/g, 'Minimal impact expected during deployment window')
-        .replace(/\{nextSteps\}/g, 'Monitor deployment and validate functionality post-release');
+      const releaseDate = new Date();
+      releaseDate.setDate(releaseDate.getDate() + 7); // Default to 1 week from now
+
+      Object.assign(context, {
+        projectName: 'Project',
+        releaseDate: releaseDate.toISOString().split('T')[0],
+        releaseTime: '1:00 PM',
+        timezone: 'Central time',
+        version: 'TBD',
+        releaseManager: 'TBD',
+        contactPerson: 'the release team',
+        rollbackPlan: 'Standard rollback procedures apply',
+        whyMatters: 'This release provides important updates and improvements',
+        impact: 'Minimal impact expected during deployment window',
+        nextSteps: 'Monitor deployment and validate functionality post-release',
+      });
     }
 
-    // Replace any remaining placeholders with default values
-    content = content
-      .replace(/\{jiraDetails\}/g, 'No Jira issues linked.')
-      .replace(/\{jiraFooter\}/g, '')
-      .replace(/\{[^}]+\}/g, 'TBD'); // Replace any remaining placeholders
+    return context;
+  }
+
+  /**
+   * Render a template against the collected data. `values` (e.g. validated
+   * structured output) take precedence over the data context.
+   */
+  async fillTemplate(template, data, docType, values = {}) {
+    const engine = this.getTemplateEngine();
+    const context = await this.buildTemplateContext(data, docType);
+    return engine.render(template, { ...context, ...values });
+  }
 
-    return content;
+  /**
+   * The variables a document was filled with, for the JSON sidecar: the
+   * template's declared variables from the data context, plus any validated
+   * structured output
+   */
+  async templateVariables(data, docType, values = {}) {
+    const context = await this.buildTemplateContext(data, docType);
+    const declared = this.getTemplateCatalog()[docType]?.variables || [];
+    const names = declared.length > 0 ? declared : Object.keys(context);
+    return {
+      ...Object.fromEntries(
+        names
+          .filter((name) => context[name] !== undefined)
+          .map((name) => [name, context[name]])
+      ),
+      ...values,
+    };
   }
 
   extractTopicFromTitle(title) {
@@ -607,13 +1334,34 @@ class AIDocumentGenerator {
     return 'general';
   }
 
-  async determineSourceFolder(data) {
+  /**
+   * The source a document is generated from, used to find and update the
+   * document on later runs and to name published pages. Meeting notes also
+   * record their series, to find the previous meeting of the series.
+   */
+  async documentIdentity(docType, data) {
+    const getCurrentSprint = () =>
+      this.getJiraClient().enabled ? this.getJiraClient().getCurrentSprint() : null;
+    const identity = await sourceIdentity(docType, data, { getCurrentSprint });
+    const series =
+      docType === 'meeting-notes' && meetingSeriesKey(data.discussion, this.config.meetings?.series);
+    return series ? { ...identity, series } : identity;
+  }
+
+  /**
+   * Date and topic folder name for a new source's documents, e.g. 2025-01-13-auth-system
+   */
+  async sourceFolderName(data) {
     const today = new Date().toISOString().split('T')[0];
     const topic = await this.generateAITopic(data);
+    return `${today}-${topic}`;
+  }
+
+  async determineSourceFolder(data, baseFolder) {
+    baseFolder = baseFolder || (await this.sourceFolderName(data));
 
     // Check if folder exists and add version number if needed
-    const baseFolder = `${today}-${topic}`;
-    const basePath = path.join(process.cwd(), 'generated');
+    const basePath = path.resolve(process.cwd(), this.outputDir);
 
     let folderName = baseFolder;
     let version = 2;
@@ -632,6 +1380,8 @@ class AIDocumentGenerator {
       return `${docType}-${data.discussion.number}.md`;
     } else if (data.prs.length > 0) {
       return `${docType}-pr-${data.prs.map((pr) => pr.number).join('-')}.md`;
+    } else if (data.issueQuery) {
+      return `${docType}-${issueQuerySource(data.issueQuery)}.md`;
     } else if (data.issues.length > 0) {
       return `${docType}-issues-${data.issues
         .map((i) => i.number)
@@ -647,42 +1397,14 @@ class AIDocumentGenerator {
   }
 
   /**
-   * Check if there are previous meeting notes in the generated folder
+   * The previous meeting notes of the same series (see meeting-series)
    */
-  async findPreviousMeetingNotes(data) {
+  async findPreviousMeetingNotes(data, currentPath = null) {
     try {
-      const generatedPath = path.join(process.cwd(), 'generated');
-
-      // Get all folders in generated directory
-      const folders = await fs.readdir(generatedPath, { withFileTypes: true });
-      const dateFolders = folders
-        .filter((dirent) => dirent.isDirectory())
-        .map((dirent) => dirent.name)
-        .filter((name) => name.match(/^\d{4}-\d{2}-\d{2}-/))
-        .sort()
-        .reverse(); // Most recent first
-
-      // Look for meeting notes files in previous folders
-      for (const folder of dateFolders) {
-        const folderPath = path.join(generatedPath, folder);
-        try {
-          const files = await fs.readdir(folderPath);
-          const meetingNotesFiles = files.filter(
-            (file) => file.startsWith('meeting-notes-') && file.endsWith('.md')
-          );
-
-          if (meetingNotesFiles.length > 0) {
-            // Return the path to the most recent meeting notes file
-            const relativePath = `generated/${folder}/${meetingNotesFiles[0]}`;
-            return relativePath;
-          }
-        } catch (error) {
-          // Skip folders we can't read
-          continue;
-        }
-      }
-
-      return null; // No previous meeting notes found
+      return await findPreviousMeeting(path.resolve(process.cwd(), this.outputDir), data.discussion, {
+        series: this.config.meetings?.series,
+        currentPath,
+      });
     } catch (error) {
       core.warning(
         `Failed to check for previous meeting notes: ${error.message}`
@@ -691,10 +1413,38 @@ class AIDocumentGenerator {
     }
   }
 
+  /**
+   * "Completed Since Last Meeting" and "Carried Over" sections for the
+   * previous meeting's open action items. Issue state is read from GitHub
+   * when a token is available; replayed runs only use the discussion.
+   */
+  async carryOverActionItems(previous, data) {
+    const items = previousActionItems(previous);
+    if (items.length === 0) return '';
+
+    const tracker = new ActionItemIssues(this.config.github?.actionItems);
+    const connected = !getFixtures().replaying && tracker.connect();
+    try {
+      const resolved = await resolveActionItems(
+        items,
+        previous,
+        discussionText(data.discussion),
+        connected ? tracker : null
+      );
+      core.info(
+        `🔁 ${resolved.completed.length} action item(s) completed, ${resolved.carried.length} carried over from ${previous.path}`
+      );
+      return renderCarryOver(previous, resolved);
+    } catch (error) {
+      core.warning(`Failed to carry over action items: ${error.message}`);
+      return '';
+    }
+  }
+
   /**
    * Post-process AI-generated content to replace any remaining placeholder text
    */
-  async postProcessContent(content, data, docType) {
+  async postProcessContent(content, data, docType, currentPath = null) {
     const currentDate = new Date().toISOString().split('T')[0];
     const currentDateTime = new Date().toISOString();
     const currentTime =
@@ -741,21 +1491,27 @@ class AIDocumentGenerator {
       .replace(/\[TBD\]/g, 'TBD')
       .replace(/\[TODO\]/g, 'TBD');
 
-    // Handle previous meeting notes logic for meeting notes documents
+    // Link the previous meeting of the series and carry over its action items
     if (docType === 'meeting-notes') {
-      const previousNotesPath = await this.findPreviousMeetingNotes(data);
+      const previous = await this.findPreviousMeetingNotes(data, currentPath);
 
-      if (previousNotesPath) {
+      if (previous) {
         // Replace the placeholder with actual link
         processedContent = processedContent.replace(
           /\{previousMeetingNotes\}/g,
-          previousNotesPath
+          previous.path
         );
         // Also handle cases where AI might generate the link directly
         processedContent = processedContent.replace(
           /\[Previous Meeting Notes\]\([^)]*\)/g,
-          `[Previous Meeting Notes](${previousNotesPath})`
+          `[Previous Meeting Notes](${previous.path})`
         );
+        if (this.config.meetings?.carryOver !== false) {
+          processedContent = insertCarryOver(
+            processedContent,
+            await this.carryOverActionItems(previous, data)
+          );
+        }
       } else {
         // Remove the previous meeting notes line entirely
         processedContent = processedContent.replace(
@@ -775,27 +1531,150 @@ class AIDocumentGenerator {
     return processedContent;
   }
 
-  async saveDocument(docType, data, content) {
+  /**
+   * Mark the decision records a new record supersedes, linking them to it
+   */
+  async supersedeDecisions(superseded, fileName, content) {
+    const newer = {
+      number: parseInt(fileName, 10),
+      fileName,
+      title: (content.match(/^#\s+ADR-\d+:\s*(.+)$/m) || [])[1] || fileName,
+    };
+    for (const decision of superseded) {
+      if (await markSuperseded(decision, newer)) {
+        core.info(`🗳️ ${adrLabel(decision.number)} is superseded by ${adrLabel(newer.number)}`);
+      }
+    }
+  }
+
+  /**
+   * Write the markdown document and any other formats configured for its
+   * type (documents.formats) next to it. A document already generated from
+   * the same source is updated in place, keeping its folder and changelog;
+   * only new sources get a new folder. Edits people made to it since the
+   * last generation are merged with the new content (see document-merge).
+   */
+  async saveDocument(docType, data, content, values = {}) {
     try {
-      const baseOutputDir = path.join(process.cwd(), 'generated');
-      const sourceFolder = await this.determineSourceFolder(data);
-      const outputDir = path.join(baseOutputDir, sourceFolder);
-      await fs.mkdir(outputDir, { recursive: true });
+      const baseOutputDir = path.resolve(process.cwd(), this.outputDir);
+      const identity = await this.documentIdentity(docType, data);
+      const existing = await locateSourceDocument(
+        baseOutputDir,
+        identity,
+        this.generateFileName(docType, data),
+        { ignoreFolders: [ADR_FOLDER] }
+      );
 
-      const fileName = this.generateFileName(docType, data);
+      // Decision records share one numbered folder instead of a source folder
+      const isDecision = docType === 'adr';
+      const topicFolder = isDecision
+        ? ADR_FOLDER
+        : existing.folder || (await this.determineSourceFolder(data));
+      const outputDir = path.join(baseOutputDir, topicFolder);
+      let fileName;
+      if (existing.document) {
+        fileName = existing.document.fileName;
+      } else if (isDecision) {
+        const title = (content.match(/^#\s+(.+)$/m) || [])[1] || data.discussion?.title;
+        fileName = adrFileName(await nextDecisionNumber(outputDir), title);
+      } else {
+        fileName = this.generateFileName(docType, data);
+      }
       const filePath = path.join(outputDir, fileName);
 
       // Post-process the content to replace any remaining placeholders
-      const processedContent = await this.postProcessContent(
+      let processedContent = await this.postProcessContent(
         content,
         data,
-        docType
+        docType,
+        filePath
       );
 
-      await fs.writeFile(filePath, processedContent, 'utf8');
+      let superseded = [];
+      if (isDecision) {
+        const decisions = await listDecisions(outputDir);
+        superseded = findSuperseded(decisions, discussionText(data.discussion), fileName);
+        processedContent = decorateDecision(processedContent, parseInt(fileName, 10), {
+          supersedes: superseded,
+          supersededBy: findSupersededBy(decisions, fileName),
+        });
+      }
 
-      core.info(`✅ Generated document: ${fileName}`);
-      return { filePath, fileName, content };
+      let body = processedContent;
+      let conflicts = [];
+      if (existing.document) {
+        const merge = mergeDocument(
+          await readMergeBase(identity),
+          parseSourceDocument(existing.document.content).body,
+          processedContent
+        );
+        body = merge.body;
+        conflicts = merge.conflicts.map((conflict) => ({
+          ...conflict,
+          file: path.relative(process.cwd(), filePath).split(path.sep).join('/'),
+        }));
+      }
+      const tracked = trackSourceDocument(
+        existing.document ? existing.document.content : null,
+        identity,
+        docType,
+        body
+      );
+
+      const formats = resolveFormats(this.config, docType, this.formats);
+      const outputs = renderOutputs(formats, {
+        docType,
+        fileName,
+        content: tracked.content,
+        data,
+        variables: formats.includes('json')
+          ? await this.templateVariables(data, docType, values)
+          : null,
+      }).map((output) => ({ ...output, filePath: path.join(outputDir, output.fileName) }));
+
+      const result = {
+        docType,
+        topicFolder,
+        filePath,
+        fileName,
+        content: tracked.content,
+        outputs,
+        identity,
+        action: tracked.action,
+        conflicts,
+      };
+
+      if (this.dryRun) {
+        core.info(`👀 Preview of ${fileName} (would be ${tracked.action} in ${topicFolder}, not saved)`);
+        return { ...result, dryRun: true };
+      }
+
+      // The new generation is the base for merging the next one
+      if (identity.source) {
+        await writeMergeBase(identity, processedContent);
+      }
+
+      await fs.mkdir(outputDir, { recursive: true });
+      if (superseded.length > 0) {
+        await this.supersedeDecisions(superseded, fileName, tracked.content);
+      }
+
+      if (tracked.action === 'unchanged') {
+        core.info(`⏸️ ${fileName} is unchanged (${identity.label})`);
+        return result;
+      }
+
+      await fs.writeFile(filePath, tracked.content, 'utf8');
+      for (const output of outputs) {
+        await fs.writeFile(output.filePath, output.content, 'utf8');
+      }
+
+      core.info(
+        `✅ ${tracked.action === 'created' ? 'Generated' : 'Updated'} document: ${topicFolder}/${fileName}${
+          outputs.length > 0 ? ` (+ ${outputs.map((output) => output.format).join(', ')})` : ''
+        }`
+      );
+      return result;
     } catch (error) {
       core.error(`Failed to save ${docType} document: ${error.message}`);
       return null;
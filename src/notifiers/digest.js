@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Document digests
+ * Condenses a generated markdown document into what a chat message needs:
+ * title, a few key points, decisions and action items with assignees
+ */
+
+const { parseMarkdown, documentTitle } = require('../utils/output-formats');
+
+const MAX_KEY_POINTS = 5;
+const MAX_ITEMS = 8;
+
+const KEY_POINT_SECTIONS = /overview|summary|highlights|key points|current status|what is included/i;
+const DECISION_SECTIONS = /decision/i;
+const ACTION_SECTIONS = /action items?|next steps/i;
+const DONE_STATUS = /^(done|complete|completed|closed|resolved|✅)/i;
+
+// Template filler and empty-state text that shouldn't reach a digest
+const PLACEHOLDER_PATTERN =
+  /^(tbd|n\/a|none|-+|no (data|details|items?|decisions|action items|risks|updates)\b.*|.*\bto be determined\b.*)\.?$/i;
+
+/**
+ * Markdown emphasis and code marks removed; links are kept
+ */
+function plainText(text) {
+  return String(text)
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/__([^_]+)__/g, '$1')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\*)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isPlaceholder(text) {
+  return !text || PLACEHOLDER_PATTERN.test(text.replace(/^[^\w[(]+/u, '').trim());
+}
+
+/**
+ * Split blocks into sections under their nearest level-two or -three heading
+ */
+function splitSections(blocks) {
+  const sections = [];
+  let current = { heading: '', blocks: [] };
+  for (const block of blocks) {
+    if (block.type === 'heading' && block.level >= 2 && block.level <= 3) {
+      sections.push(current);
+      current = { heading: plainText(block.text), blocks: [] };
+    } else if (block.type !== 'heading') {
+      current.blocks.push(block);
+    }
+  }
+  sections.push(current);
+  return sections;
+}
+
+/**
+ * Readable lines from a section: list items, table rows and paragraph lines
+ */
+function sectionLines(section) {
+  const lines = [];
+  for (const block of section.blocks) {
+    if (block.type === 'list') {
+      block.items.forEach((item) => lines.push(plainText(item.text)));
+    } else if (block.type === 'paragraph') {
+      block.lines.forEach((line) => lines.push(plainText(line)));
+    } else if (block.type === 'table') {
+      block.rows.forEach((row) =>
+        lines.push(block.header.map((name, i) => `${name}: ${plainText(row[i])}`).join(', '))
+      );
+    }
+  }
+  return lines.filter((line) => !isPlaceholder(line));
+}
+
+function findSections(sections, pattern) {
+  return sections.filter((section) => pattern.test(section.heading));
+}
+
+/**
+ * Action items from tables (Task / Assignee / Due Date columns) and lists
+ * ("- [ ] @alice update the docs by 2025-02-01")
+ */
+function actionItems(sections) {
+  const items = [];
+  for (const section of sections) {
+    for (const block of section.blocks) {
+      if (block.type === 'table') {
+        const column = (pattern) => block.header.findIndex((name) => pattern.test(name));
+        const task = column(/task|action|item|description/i);
+        const assignee = column(/assignee|owner|who|responsible/i);
+        const due = column(/due|date|deadline/i);
+        const status = column(/status|state/i);
+        block.rows.forEach((row) => {
+          const text = plainText(row[task === -1 ? 0 : task]);
+          if (isPlaceholder(text) || (status !== -1 && DONE_STATUS.test(plainText(row[status])))) {
+            return;
+          }
+          items.push({
+            task: text,
+            assignee: assignee === -1 ? null : plainText(row[assignee]) || null,
+            due: due === -1 ? null : plainText(row[due]) || null,
+          });
+        });
+      } else if (block.type === 'list') {
+        block.items.forEach((item) => {
+          const text = plainText(item.text);
+          if (isPlaceholder(text) || item.checked === true) return;
+          const owner =
+            text.match(/@[\w-]+/)?.[0] ||
+            text.match(/\b(?:owner|assignee|assigned to):?\s*([\w .-]+?)(?:[),;]|$)/i)?.[1];
+          const due = text.match(
+            /\b(?:by|due:?)\s+(\d{4}-\d{2}-\d{2}|[A-Z][a-z]+ \d{1,2}(?:, \d{4})?)/
+          )?.[1];
+          items.push({
+            task: text,
+            assignee: owner ? owner.trim() : null,
+            due: due || null,
+          });
+        });
+      }
+    }
+  }
+  return items
+    .map((item) => ({
+      ...item,
+      assignee: item.assignee && !isPlaceholder(item.assignee) ? item.assignee : null,
+      due: item.due && !isPlaceholder(item.due) ? item.due : null,
+    }));
+}
+
+/**
+ * Open action items of a document, from its "Action Items" sections (or
+ * any section matching `sections`)
+ */
+function extractActionItems(markdown, sections = ACTION_SECTIONS) {
+  return actionItems(findSections(splitSections(parseMarkdown(markdown)), sections));
+}
+
+/**
+ * Build the digest of one document
+ *
+ * @param {string} markdown - the generated document
+ * @param {object} meta - { docType, url, source }
+ */
+function buildDigest(markdown, meta = {}) {
+  const blocks = parseMarkdown(markdown);
+  const sections = splitSections(blocks);
+
+  let keyPoints = findSections(sections, KEY_POINT_SECTIONS).flatMap(sectionLines);
+  if (keyPoints.length === 0) {
+    // Fall back to whatever leads the document
+    keyPoints = sections.flatMap(sectionLines);
+  }
+
+  return {
+    docType: meta.docType,
+    title: plainText(documentTitle(blocks, meta.docType)),
+    url: meta.url || null,
+    source: meta.source || null,
+    keyPoints: keyPoints.slice(0, MAX_KEY_POINTS),
+    decisions: findSections(sections, DECISION_SECTIONS)
+      .flatMap(sectionLines)
+      .slice(0, MAX_ITEMS),
+    actionItems: actionItems(findSections(sections, ACTION_SECTIONS)).slice(0, MAX_ITEMS),
+  };
+}
+
+module.exports = { buildDigest, extractActionItems, plainText };
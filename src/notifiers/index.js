@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Chat notifications
+ * Posts a digest of each generated document to the incoming webhooks in
+ * `notifications.webhooks`, routed by document type
+ */
+
+const core = require('@actions/core');
+const { getRequestQueue } = require('../utils/request-queue');
+const { buildDigest } = require('./digest');
+const { PAYLOAD_FORMATS } = require('./payloads');
+
+/**
+ * Webhooks configured for this run. URLs are secrets, so they're normally
+ * read from the environment variable named by `urlEnv`.
+ */
+function selectWebhooks(config) {
+  const webhooks = config.notifications?.webhooks || {};
+  return Object.entries(webhooks)
+    .filter(([, webhook]) => webhook.enabled !== false)
+    .map(([name, webhook]) => {
+      const format = webhook.format || 'json';
+      if (!PAYLOAD_FORMATS[format]) {
+        throw new Error(
+          `notifications.webhooks.${name}: unknown format "${format}" (expected ${Object.keys(PAYLOAD_FORMATS).join(', ')})`
+        );
+      }
+      return {
+        name,
+        format,
+        url: (webhook.urlEnv && process.env[webhook.urlEnv]) || webhook.url || null,
+        urlSource: webhook.urlEnv ? `env ${webhook.urlEnv}` : 'url',
+        docTypes: webhook.docTypes || [],
+      };
+    });
+}
+
+/**
+ * Where a digest should link: the first published page, else the
+ * discussion, else the workflow run that produced the document
+ */
+function documentLink(document, data) {
+  const published = (document.published || []).find((result) => result.url);
+  if (published) return published.url;
+  if (data.discussion?.url) return data.discussion.url;
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  if (GITHUB_REPOSITORY && GITHUB_RUN_ID) {
+    return `${GITHUB_SERVER_URL || 'https://github.com'}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
+  }
+  return null;
+}
+
+async function postWebhook(webhook, payload) {
+  const response = await getRequestQueue().fetch(
+    webhook.url,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    },
+    { label: `webhook ${webhook.name}` }
+  );
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${response.status} ${response.statusText}${detail ? ` - ${detail.slice(0, 200)}` : ''}`);
+  }
+}
+
+/**
+ * Post digests for saved documents. Notifications never fail the run;
+ * unreachable or unconfigured webhooks are logged as warnings.
+ *
+ * @param {Array} webhooks - from selectWebhooks
+ * @param {Array} documents - { docType, content, identity, published }
+ * @param {object} data - collected source data
+ */
+async function notifyDocuments(webhooks, documents, data, { dryRun = false } = {}) {
+  for (const webhook of webhooks) {
+    // Reruns that left a document unchanged have nothing new to announce
+    const selected = documents.filter(
+      (document) =>
+        document.action !== 'unchanged' &&
+        (webhook.docTypes.length === 0 || webhook.docTypes.includes(document.docType))
+    );
+    if (selected.length === 0) continue;
+
+    if (!webhook.url) {
+      core.warning(`🔔 ${webhook.name}: no webhook URL (${webhook.urlSource} is not set)`);
+      continue;
+    }
+
+    for (const document of selected) {
+      const digest = buildDigest(document.content, {
+        docType: document.docType,
+        url: documentLink(document, data),
+        source: document.identity?.label,
+      });
+
+      if (dryRun) {
+        core.info(`🔔 ${webhook.name}: would post ${webhook.format} digest of ${document.fileName}`);
+        continue;
+      }
+
+      try {
+        await postWebhook(webhook, PAYLOAD_FORMATS[webhook.format](digest));
+        core.info(`🔔 ${webhook.name}: posted digest of ${document.fileName}`);
+      } catch (error) {
+        core.warning(`🔔 ${webhook.name}: failed to post ${document.fileName}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = { selectWebhooks, documentLink, notifyDocuments };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook payloads for document digests
+ * Slack Block Kit, Microsoft Teams Adaptive Cards and a plain JSON event
+ */
+
+// Slack rejects section text over 3000 characters and headers over 150
+const SLACK_TEXT_LIMIT = 3000;
+const SLACK_HEADER_LIMIT = 150;
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+function describeActionItem(item) {
+  const details = [item.assignee, item.due && `due ${item.due}`]
+    .filter(Boolean)
+    .join(', ');
+  return details ? `${item.task} (${details})` : item.task;
+}
+
+/**
+ * Markdown links and special characters to Slack mrkdwn
+ */
+function slackText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<$2|$1>');
+}
+
+function slackSection(heading, lines) {
+  const text = [heading && `*${heading}*`, ...lines.map((line) => `• ${slackText(line)}`)]
+    .filter(Boolean)
+    .join('\n');
+  return { type: 'section', text: { type: 'mrkdwn', text: truncate(text, SLACK_TEXT_LIMIT) } };
+}
+
+function slackPayload(digest) {
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(digest.title, SLACK_HEADER_LIMIT), emoji: true },
+    },
+  ];
+  if (digest.keyPoints.length > 0) {
+    blocks.push(slackSection(null, digest.keyPoints));
+  }
+  if (digest.decisions.length > 0) {
+    blocks.push(slackSection('Decisions', digest.decisions));
+  }
+  if (digest.actionItems.length > 0) {
+    blocks.push(slackSection('Action items', digest.actionItems.map(describeActionItem)));
+  }
+  if (digest.url) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'View document' },
+          url: digest.url,
+        },
+      ],
+    });
+  }
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: slackText(['📚 Chroniclr', digest.docType, digest.source].filter(Boolean).join(' · ')),
+      },
+    ],
+  });
+
+  return { text: `📚 ${digest.title}`, blocks };
+}
+
+function teamsList(heading, lines) {
+  return [
+    { type: 'TextBlock', text: heading, weight: 'Bolder', spacing: 'Medium', wrap: true },
+    { type: 'TextBlock', text: lines.map((line) => `- ${line}`).join('\n'), wrap: true },
+  ];
+}
+
+function teamsPayload(digest) {
+  const body = [
+    { type: 'TextBlock', text: digest.title, size: 'Large', weight: 'Bolder', wrap: true },
+    {
+      type: 'TextBlock',
+      text: ['📚 Chroniclr', digest.docType, digest.source].filter(Boolean).join(' · '),
+      isSubtle: true,
+      spacing: 'None',
+      wrap: true,
+    },
+  ];
+  if (digest.keyPoints.length > 0) {
+    body.push({
+      type: 'TextBlock',
+      text: digest.keyPoints.map((line) => `- ${line}`).join('\n'),
+      wrap: true,
+    });
+  }
+  if (digest.decisions.length > 0) {
+    body.push(...teamsList('Decisions', digest.decisions));
+  }
+  if (digest.actionItems.length > 0) {
+    body.push(
+      { type: 'TextBlock', text: 'Action items', weight: 'Bolder', spacing: 'Medium', wrap: true },
+      {
+        type: 'FactSet',
+        facts: digest.actionItems.map((item) => ({
+          title: item.assignee || 'Unassigned',
+          value: item.due ? `${item.task} (due ${item.due})` : item.task,
+        })),
+      }
+    );
+  }
+
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          ...(digest.url && {
+            actions: [{ type: 'Action.OpenUrl', title: 'View document', url: digest.url }],
+          }),
+        },
+      },
+    ],
+  };
+}
+
+function jsonPayload(digest) {
+  return {
+    event: 'chroniclr.document.generated',
+    generatedAt: new Date().toISOString(),
+    ...digest,
+  };
+}
+
+const PAYLOAD_FORMATS = {
+  slack: slackPayload,
+  teams: teamsPayload,
+  json: jsonPayload,
+};
+
+module.exports = { PAYLOAD_FORMATS, slackPayload, teamsPayload, jsonPayload };
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Confluence publisher
+ * Creates or updates one Confluence page per generated document through the
+ * REST API, using the same Atlassian credentials as the Jira client
+ */
+
+const { getRequestQueue } = require('../utils/request-queue');
+const { renderConfluenceStorage, documentTitle, parseMarkdown } = require('../utils/output-formats');
+
+// Every published page carries this label, plus one naming its source
+const PAGE_LABEL = 'chroniclr';
+
+class ConfluencePublisher {
+  /**
+   * @param {object} options - publishers.confluence from chroniclr.config.json
+   * @param {string} options.spaceKey - space to publish into (CONFLUENCE_SPACE_KEY)
+   * @param {string} options.parentPageId - page to nest under (CONFLUENCE_PARENT_PAGE_ID)
+   * @param {string} options.baseUrl - Confluence URL (CONFLUENCE_BASE_URL, else JIRA_BASE_URL/wiki)
+   * @param {string} options.titlePrefix - prepended to every page title
+   */
+  constructor(options = {}) {
+    const jiraBaseUrl = process.env.JIRA_BASE_URL;
+    this.baseUrl = (
+      process.env.CONFLUENCE_BASE_URL ||
+      options.baseUrl ||
+      (jiraBaseUrl ? `${jiraBaseUrl.replace(/\/$/, '')}/wiki` : '')
+    ).replace(/\/$/, '');
+    this.userEmail = process.env.CONFLUENCE_USER_EMAIL || process.env.JIRA_USER_EMAIL;
+    this.apiToken = process.env.CONFLUENCE_API_TOKEN || process.env.JIRA_API_TOKEN;
+    this.spaceKey = process.env.CONFLUENCE_SPACE_KEY || options.spaceKey;
+    this.parentPageId = process.env.CONFLUENCE_PARENT_PAGE_ID || options.parentPageId;
+    this.titlePrefix = options.titlePrefix || '';
+
+    const missing = [
+      ['CONFLUENCE_BASE_URL or JIRA_BASE_URL', this.baseUrl],
+      ['JIRA_USER_EMAIL', this.userEmail],
+      ['JIRA_API_TOKEN', this.apiToken],
+      ['publishers.confluence.spaceKey', this.spaceKey],
+    ]
+      .filter(([, value]) => !value)
+      .map(([name]) => name);
+    this.enabled = missing.length === 0;
+    this.missing = missing;
+
+    if (this.enabled) {
+      this.authHeader = `Basic ${Buffer.from(`${this.userEmail}:${this.apiToken}`).toString('base64')}`;
+    }
+  }
+
+  get name() {
+    return 'confluence';
+  }
+
+  async request(method, apiPath, body, label) {
+    const response = await getRequestQueue().fetch(
+      `${this.baseUrl}${apiPath}`,
+      {
+        method,
+        headers: {
+          Authorization: this.authHeader,
+          Accept: 'application/json',
+          ...(body && { 'Content-Type': 'application/json' }),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      },
+      { label: `Confluence ${label}` }
+    );
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(
+        `Confluence ${label} failed: ${response.status} ${response.statusText}${
+          detail ? ` - ${detail.slice(0, 200)}` : ''
+        }`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * The page previously published for this source, if any: the page with
+   * its source label, else a page with the same title (a page whose labels
+   * were never added)
+   */
+  async findPage(sourceLabel, title) {
+    const cql = `space = "${this.spaceKey}" and type = page and label = "${sourceLabel}"`;
+    const result = await this.request(
+      'GET',
+      `/rest/api/content/search?cql=${encodeURIComponent(cql)}&expand=version,body.storage`,
+      null,
+      `search ${sourceLabel}`
+    );
+    if (result.results?.[0]) {
+      return { page: result.results[0], labeled: true };
+    }
+
+    const byTitle = await this.request(
+      'GET',
+      `/rest/api/content?spaceKey=${encodeURIComponent(this.spaceKey)}&title=${encodeURIComponent(
+        title
+      )}&type=page&expand=version,body.storage`,
+      null,
+      `find "${title}"`
+    );
+    return byTitle.results?.[0] ? { page: byTitle.results[0], labeled: false } : null;
+  }
+
+  labels(sourceLabel) {
+    return [PAGE_LABEL, sourceLabel].map((name) => ({ prefix: 'global', name }));
+  }
+
+  pageUrl(page) {
+    return page._links?.webui ? `${page._links.base || this.baseUrl}${page._links.webui}` : null;
+  }
+
+  /**
+   * Create or update the page for one document
+   *
+   * @param {object} document - { docType, content, identity: { key, label } }
+   * @returns {{action: 'created'|'updated'|'unchanged', id, title, url}}
+   */
+  async publish(document) {
+    const sourceLabel = `chroniclr-${document.identity.key}`.toLowerCase();
+    const heading = documentTitle(parseMarkdown(document.content), document.docType);
+    const title = `${this.titlePrefix}${heading} (${document.identity.label})`;
+    const storage = renderConfluenceStorage(document.content);
+    const body = { storage: { value: storage, representation: 'storage' } };
+
+    const found = await this.findPage(sourceLabel, title);
+
+    if (found) {
+      const { page: existing, labeled } = found;
+      if (!labeled) {
+        await this.request(
+          'POST',
+          `/rest/api/content/${existing.id}/label`,
+          this.labels(sourceLabel),
+          `label page ${existing.id}`
+        );
+      }
+      if (existing.title === title && existing.body?.storage?.value === storage) {
+        return { action: 'unchanged', id: existing.id, title, url: this.pageUrl(existing) };
+      }
+      const page = await this.request(
+        'PUT',
+        `/rest/api/content/${existing.id}`,
+        {
+          id: existing.id,
+          type: 'page',
+          title,
+          body,
+          version: {
+            number: (existing.version?.number || 1) + 1,
+            message: 'Updated by Chroniclr',
+          },
+        },
+        `update page ${existing.id}`
+      );
+      return { action: 'updated', id: page.id, title, url: this.pageUrl(page) };
+    }
+
+    // Labels are sent with the page so it can't be created without them
+    const page = await this.request(
+      'POST',
+      '/rest/api/content',
+      {
+        type: 'page',
+        title,
+        space: { key: this.spaceKey },
+        ...(this.parentPageId && { ancestors: [{ id: String(this.parentPageId) }] }),
+        body,
+        metadata: { labels: this.labels(sourceLabel) },
+      },
+      `create "${title}"`
+    );
+    return { action: 'created', id: page.id, title, url: this.pageUrl(page) };
+  }
+}
+
+module.exports = { ConfluencePublisher };
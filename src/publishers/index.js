@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Document publishers
+ * Pushes generated documents to external destinations after they are saved.
+ * Each publisher is configured under `publishers.<name>` in chroniclr.config.json.
+ */
+
+const core = require('@actions/core');
+const { ConfluencePublisher } = require('./confluence-publisher');
+const { WikiPublisher } = require('./wiki-publisher');
+
+const PUBLISHERS = {
+  confluence: ConfluencePublisher,
+  wiki: WikiPublisher,
+};
+
+/**
+ * Publishers for this run: the names requested for the run (--publish,
+ * CHRONICLR_PUBLISH), else every publisher with `enabled: true` in config
+ */
+function selectPublishers(config, requested = []) {
+  const configured = config.publishers || {};
+  const names =
+    requested.length > 0
+      ? requested
+      : Object.keys(configured).filter((name) => configured[name]?.enabled);
+
+  const unknown = names.filter((name) => !PUBLISHERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown publisher(s) ${unknown.join(', ')} (expected ${Object.keys(PUBLISHERS).join(', ')})`
+    );
+  }
+
+  return names.map((name) => {
+    const options = configured[name] || {};
+    return { name, options, publisher: new PUBLISHERS[name](options) };
+  });
+}
+
+/**
+ * Log a publish result and keep it on the document, so notifications can
+ * link to the published page
+ */
+function recordResult(name, document, result) {
+  core.info(
+    `📤 ${name}: ${result.action} "${result.title}"${result.url ? ` → ${result.url}` : ''}`
+  );
+  document.published = [...(document.published || []), { publisher: name, ...result }];
+}
+
+/**
+ * Publish saved documents. Publishers implement publish(document), or
+ * publishAll(documents) when one batch is cheaper (e.g. a single git push).
+ * A failing destination doesn't stop the others; the names of documents
+ * that failed to publish are returned.
+ *
+ * @param {Array} publishers - from selectPublishers
+ * @param {Array} documents - { docType, topicFolder, fileName, content, identity }
+ */
+async function publishDocuments(publishers, documents, { dryRun = false } = {}) {
+  const failures = [];
+
+  for (const { name, options, publisher } of publishers) {
+    if (!publisher.enabled) {
+      core.error(`📤 ${name}: not configured (missing ${publisher.missing.join(', ')})`);
+      failures.push(name);
+      continue;
+    }
+
+    const docTypes = options.docTypes || [];
+    const selected = documents.filter(
+      (document) => docTypes.length === 0 || docTypes.includes(document.docType)
+    );
+
+    if (dryRun) {
+      selected.forEach((document) =>
+        core.info(`📤 ${name}: would publish ${document.fileName} (${document.identity.label})`)
+      );
+      continue;
+    }
+
+    if (publisher.publishAll) {
+      if (selected.length === 0) continue;
+      try {
+        const results = await publisher.publishAll(selected);
+        results.forEach((result, index) => recordResult(name, selected[index], result));
+      } catch (error) {
+        core.error(`📤 ${name}: failed to publish: ${error.message}`);
+        failures.push(...selected.map((document) => `${document.fileName} → ${name}`));
+      }
+      continue;
+    }
+
+    for (const document of selected) {
+      try {
+        recordResult(name, document, await publisher.publish(document));
+      } catch (error) {
+        core.error(`📤 ${name}: failed to publish ${document.fileName}: ${error.message}`);
+        failures.push(`${document.fileName} → ${name}`);
+      }
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  PUBLISHERS,
+  selectPublishers,
+  publishDocuments,
+};
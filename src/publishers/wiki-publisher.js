@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Wiki publisher
+ * Clones <repo>.wiki.git, writes each document to a page named after its
+ * generated/ folder and file, rebuilds the Chroniclr part of _Sidebar.md
+ * and pushes the result as a single commit
+ */
+
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { documentTitle, parseMarkdown } = require('../utils/output-formats');
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 120000;
+
+// First line of every published page; the sidebar is rebuilt from these
+const PAGE_MARKER_PATTERN = /^<!-- chroniclr: (\{.*\}) -->\r?\n/;
+
+const SIDEBAR_FILE = '_Sidebar.md';
+const SIDEBAR_START = '<!-- chroniclr-sidebar:start -->';
+const SIDEBAR_END = '<!-- chroniclr-sidebar:end -->';
+
+const BOT_NAME = 'github-actions[bot]';
+const BOT_EMAIL = '41898282+github-actions[bot]@users.noreply.github.com';
+
+function docTypeHeading(docType) {
+  return docType
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Chroniclr's section of _Sidebar.md: pages grouped by document type, then
+ * by date, newest first
+ */
+function renderSidebarSection(pages) {
+  const byType = {};
+  for (const page of pages) {
+    byType[page.docType] = byType[page.docType] || {};
+    byType[page.docType][page.date] = [...(byType[page.docType][page.date] || []), page];
+  }
+
+  const lines = [SIDEBAR_START, '### Chroniclr Documents', ''];
+  for (const docType of Object.keys(byType).sort()) {
+    lines.push(`**${docTypeHeading(docType)}**`, '');
+    for (const date of Object.keys(byType[docType]).sort().reverse()) {
+      lines.push(`- ${date}`);
+      byType[docType][date]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach((page) => lines.push(`  - [[${page.title.replace(/[|\]]/g, ' ')}|${page.name}]]`));
+    }
+    lines.push('');
+  }
+  lines.push(SIDEBAR_END);
+  return lines.join('\n');
+}
+
+/**
+ * Replace Chroniclr's section of an existing sidebar, keeping anything
+ * maintainers wrote around it
+ */
+function updateSidebar(existing, section) {
+  const start = existing.indexOf(SIDEBAR_START);
+  const end = existing.indexOf(SIDEBAR_END);
+  if (start !== -1 && end > start) {
+    return `${existing.slice(0, start)}${section}${existing.slice(end + SIDEBAR_END.length)}`;
+  }
+  return existing.trim() ? `${existing.trimEnd()}\n\n${section}\n` : `${section}\n`;
+}
+
+class WikiPublisher {
+  /**
+   * @param {object} options - publishers.wiki from chroniclr.config.json
+   * @param {string} options.remote - wiki git remote (CHRONICLR_WIKI_REMOTE);
+   *   defaults to https://github.com/<GITHUB_REPOSITORY>.wiki.git
+   * @param {string} options.pagePrefix - prepended to every page name
+   */
+  constructor(options = {}) {
+    const repository = process.env.GITHUB_REPOSITORY;
+    this.serverUrl = (process.env.GITHUB_SERVER_URL || 'https://github.com').replace(/\/$/, '');
+    this.remote =
+      process.env.CHRONICLR_WIKI_REMOTE ||
+      options.remote ||
+      (repository ? `${this.serverUrl}/${repository}.wiki.git` : null);
+    this.pagePrefix = options.pagePrefix || '';
+    this.wikiUrl = repository ? `${this.serverUrl}/${repository}/wiki` : null;
+    // GITHUB_TOKEN can push to the wiki of its own repository; set
+    // CHRONICLR_WIKI_TOKEN to use a different token
+    this.token = process.env.CHRONICLR_WIKI_TOKEN || process.env.GITHUB_TOKEN;
+
+    this.enabled = Boolean(this.remote);
+    this.missing = this.enabled ? [] : ['GITHUB_REPOSITORY or publishers.wiki.remote'];
+  }
+
+  get name() {
+    return 'wiki';
+  }
+
+  /**
+   * Run git, authenticating HTTPS remotes with the token through an
+   * extra header so the token never appears in URLs or logs
+   */
+  async git(args, cwd) {
+    const auth =
+      this.token && /^https:/.test(this.remote)
+        ? [
+            '-c',
+            `http.extraHeader=AUTHORIZATION: basic ${Buffer.from(
+              `x-access-token:${this.token}`
+            ).toString('base64')}`,
+          ]
+        : [];
+    try {
+      const { stdout } = await execFileAsync(
+        'git',
+        [...auth, '-c', `user.name=${BOT_NAME}`, '-c', `user.email=${BOT_EMAIL}`, ...args],
+        { cwd, timeout: GIT_TIMEOUT_MS, env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } }
+      );
+      return stdout.trim();
+    } catch (error) {
+      const detail = (error.stderr || error.message).trim().split('\n').pop();
+      throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+  }
+
+  pageName(document) {
+    return `${this.pagePrefix}${document.topicFolder}-${document.fileName.replace(/\.md$/, '')}`;
+  }
+
+  pageUrl(name) {
+    return this.wikiUrl ? `${this.wikiUrl}/${encodeURIComponent(name)}` : null;
+  }
+
+  /**
+   * Every Chroniclr page in the wiki checkout, from the marker on its first line
+   */
+  async readPages(dir) {
+    const pages = [];
+    for (const file of await fs.readdir(dir)) {
+      if (!file.endsWith('.md') || file.startsWith('_')) continue;
+      const text = await fs.readFile(path.join(dir, file), 'utf8');
+      const marker = text.match(PAGE_MARKER_PATTERN);
+      if (marker) {
+        pages.push({ ...JSON.parse(marker[1]), name: file.replace(/\.md$/, '') });
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * Write all documents in one clone/commit/push
+   *
+   * @param {Array} documents - { docType, topicFolder, fileName, content }
+   * @returns {Array<{action, title, url}>} one result per document
+   */
+  async publishAll(documents) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chroniclr-wiki-'));
+    try {
+      await this.git(['clone', '--quiet', '--depth', '1', this.remote, dir]).catch((error) => {
+        throw new Error(
+          `${error.message}. The wiki must be enabled and have at least one page before Chroniclr can publish to it.`
+        );
+      });
+
+      const results = [];
+      for (const document of documents) {
+        const name = this.pageName(document);
+        const file = path.join(dir, `${name}.md`);
+        const title = documentTitle(parseMarkdown(document.content), document.docType);
+        const metadata = {
+          docType: document.docType,
+          date: document.topicFolder.slice(0, 10),
+          title,
+        };
+        const page = `<!-- chroniclr: ${JSON.stringify(metadata)} -->\n${document.content.trimEnd()}\n`;
+
+        const previous = await fs.readFile(file, 'utf8').catch(() => null);
+        const action = previous === null ? 'created' : previous === page ? 'unchanged' : 'updated';
+        if (action !== 'unchanged') {
+          await fs.writeFile(file, page, 'utf8');
+        }
+        results.push({ action, title: name, url: this.pageUrl(name) });
+      }
+
+      const sidebarPath = path.join(dir, SIDEBAR_FILE);
+      const existingSidebar = await fs.readFile(sidebarPath, 'utf8').catch(() => '');
+      const sidebar = updateSidebar(existingSidebar, renderSidebarSection(await this.readPages(dir)));
+      if (sidebar !== existingSidebar) {
+        await fs.writeFile(sidebarPath, sidebar, 'utf8');
+      }
+
+      await this.git(['add', '--all'], dir);
+      if (!(await this.git(['status', '--porcelain'], dir))) {
+        core.info('📤 wiki: no changes to push');
+        return results;
+      }
+
+      const changed = results.filter((result) => result.action !== 'unchanged').length;
+      await this.git(
+        ['commit', '--quiet', '-m', `Update ${changed} Chroniclr page(s)`],
+        dir
+      );
+      await this.git(['push', '--quiet', 'origin', 'HEAD'], dir);
+      return results;
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = { WikiPublisher, renderSidebarSection, updateSidebar };
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Static site assets
+ * Stylesheet and the client-side search script. Both are written as files
+ * so the site works from file:// as well as from a web server.
+ */
+
+const { STYLESHEET } = require('../utils/output-formats');
+
+const SITE_STYLESHEET = `${STYLESHEET}
+main { max-width: none; margin: 0; border: 0; border-radius: 0; }
+.site-header { display: flex; align-items: center; gap: 1.5rem; padding: .75rem 2rem; background: #24292f; }
+.site-header a { color: #fff; font-weight: 600; text-decoration: none; }
+.site-header nav { display: flex; gap: 1rem; }
+.site-header nav a { font-weight: 400; color: #d0d7de; }
+.site-header form { margin-left: auto; }
+.site-header input { width: 16rem; padding: .3rem .6rem; border: 1px solid #57606a; border-radius: 6px; background: #32383f; color: #fff; }
+.layout { display: flex; max-width: 1280px; margin: 2rem auto; gap: 2rem; padding: 0 1rem; }
+.layout > main { flex: 1; min-width: 0; padding: 2rem 3rem; border: 1px solid #d0d7de; border-radius: 6px; }
+.layout > aside { width: 260px; flex-shrink: 0; font-size: 14px; }
+aside h3 { margin: 1.5rem 0 .5rem; font-size: 12px; text-transform: uppercase; color: #59636e; }
+aside ul { margin: 0; padding-left: 1rem; }
+.meta { color: #59636e; font-size: 14px; }
+.tag { display: inline-block; margin: 0 .25rem .25rem 0; padding: 0 .5rem; background: #ddf4ff; color: #0969da; border-radius: 2em; font-size: 12px; }
+.doc-list { padding-left: 0; list-style: none; }
+.doc-list li { padding: .5rem 0; border-bottom: 1px solid #eaeef2; }
+.related { margin-top: 3rem; padding-top: 1rem; border-top: 1px solid #d0d7de; }
+pre.mermaid { background: #fff; border: 1px dashed #d0d7de; }
+mark { background: #fff8c5; }
+`;
+
+// Plain ES5 so it runs anywhere without a build step. The index is loaded
+// from search-index.js because browsers block fetch() on file:// pages.
+const SEARCH_SCRIPT = `(function () {
+  var docs = window.CHRONICLR_SEARCH || [];
+  var root = document.documentElement.getAttribute('data-root') || '';
+
+  function terms(query) {
+    return query.toLowerCase().split(/\\s+/).filter(function (term) { return term; });
+  }
+
+  function score(doc, words) {
+    var total = 0;
+    for (var i = 0; i < words.length; i++) {
+      var word = words[i];
+      var points = 0;
+      if (doc.title.toLowerCase().indexOf(word) !== -1) points += 10;
+      if (doc.tags.join(' ').toLowerCase().indexOf(word) !== -1) points += 6;
+      if (doc.keywords.join(' ').indexOf(word) !== -1) points += 4;
+      if ((doc.docType + ' ' + doc.topic + ' ' + doc.source).toLowerCase().indexOf(word) !== -1) points += 4;
+      if (doc.text.indexOf(word) !== -1) points += 1;
+      if (points === 0) return 0;
+      total += points;
+    }
+    return total;
+  }
+
+  function escape(text) {
+    return String(text).replace(/[&<>"]/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+    });
+  }
+
+  function snippet(doc, words) {
+    var at = -1;
+    for (var i = 0; i < words.length && at === -1; i++) at = doc.text.indexOf(words[i]);
+    var start = Math.max(0, at - 60);
+    var text = escape(doc.text.slice(start, start + 200));
+    for (var j = 0; j < words.length; j++) {
+      text = text.split(escape(words[j])).join('<mark>' + escape(words[j]) + '</mark>');
+    }
+    return (start > 0 ? '…' : '') + text + '…';
+  }
+
+  function render(query) {
+    var list = document.getElementById('search-results');
+    var summary = document.getElementById('search-summary');
+    if (!list) return;
+    var words = terms(query);
+    var results = docs
+      .map(function (doc) { return { doc: doc, score: words.length ? score(doc, words) : 0 }; })
+      .filter(function (result) { return result.score > 0; })
+      .sort(function (a, b) { return b.score - a.score || (b.doc.date || '').localeCompare(a.doc.date || ''); });
+    summary.textContent = words.length
+      ? results.length + ' document(s) match "' + query + '"'
+      : 'Type to search ' + docs.length + ' document(s).';
+    list.innerHTML = results
+      .map(function (result) {
+        var doc = result.doc;
+        return '<li><a href="' + root + doc.url + '">' + escape(doc.title) + '</a>' +
+          '<div class="meta">' + escape([doc.date, doc.docType, doc.source].filter(Boolean).join(' · ')) + '</div>' +
+          '<div>' + snippet(doc, words) + '</div></li>';
+      })
+      .join('');
+  }
+
+  var input = document.getElementById('search-input');
+  if (document.getElementById('search-results')) {
+    var match = /[?&]q=([^&]*)/.exec(window.location.search);
+    var query = match ? decodeURIComponent(match[1].replace(/\\+/g, ' ')) : '';
+    if (input) {
+      input.value = query;
+      input.addEventListener('input', function () { render(input.value); });
+    }
+    render(query);
+  }
+})();
+`;
+
+module.exports = { SITE_STYLESHEET, SEARCH_SCRIPT };
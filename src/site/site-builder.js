@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+/**
+ * Static documentation site
+ * Builds a browsable HTML site from the generated/ tree: navigation by
+ * date, topic and document type, client-side search and links between
+ * documents that share a discussion, PR or Jira issue. The site has no
+ * external dependencies, so it works offline, on GitHub Pages or on any
+ * internal web server.
+ */
+
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseMarkdown, renderBlocks, escapeHtml } = require('../utils/output-formats');
+const { buildDocumentIndex } = require('../utils/document-index');
+const { loadConfig } = require('../utils/process-labels');
+const { TemplateResolver, loadTemplateCatalog } = require('../utils/template-catalog');
+const { SITE_STYLESHEET, SEARCH_SCRIPT } = require('./assets');
+
+const DEFAULT_SITE_DIR = '_site';
+const SITE_MARKER = '.chroniclr-site';
+const MAX_SEARCH_TEXT = 5000;
+const MAX_RELATED = 10;
+
+function typeHeading(docType) {
+  return docType
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Site path of a document's page, e.g. docs/2025-01-13-auth/summary-42.html
+ */
+function pageUrl(entry) {
+  return `docs/${entry.path.replace(/\.md$/, '.html')}`;
+}
+
+function groupBy(entries, key) {
+  const groups = {};
+  for (const entry of entries) {
+    const name = key(entry) || 'other';
+    groups[name] = [...(groups[name] || []), entry];
+  }
+  return groups;
+}
+
+/**
+ * Documents that share a source, discussion, PR or Jira issue with this
+ * one, strongest connection first
+ */
+function relatedDocuments(entry, entries) {
+  const discussions = new Set([entry.source?.discussion].filter(Boolean));
+  const prs = new Set(entry.source?.prs || []);
+  const jiraKeys = new Set(entry.jiraKeys);
+
+  return entries
+    .filter((other) => other !== entry)
+    .map((other) => {
+      const reasons = [];
+      if (entry.source && other.source?.key === entry.source.key) {
+        reasons.push(entry.source.label || entry.source.key);
+      } else if (discussions.has(other.source?.discussion)) {
+        reasons.push(`Discussion #${other.source.discussion}`);
+      }
+      (other.source?.prs || []).filter((pr) => prs.has(pr)).forEach((pr) => reasons.push(`PR #${pr}`));
+      other.jiraKeys.filter((key) => jiraKeys.has(key)).forEach((key) => reasons.push(key));
+      return { entry: other, reasons: [...new Set(reasons)] };
+    })
+    .filter((related) => related.reasons.length > 0)
+    .sort(
+      (a, b) =>
+        b.reasons.length - a.reasons.length || (b.entry.date || '').localeCompare(a.entry.date || '')
+    )
+    .slice(0, MAX_RELATED);
+}
+
+/**
+ * Point links to other generated markdown documents at their pages. Links
+ * may be relative to the document or to the repository root
+ * (generated/<folder>/<file>.md, as meeting notes link their predecessors).
+ */
+function rewriteDocumentLinks(html, entry, urls, outputDirName) {
+  return html.replace(/href="([^"#]+\.md)(#[^"]*)?"/g, (match, href, hash = '') => {
+    if (/^[a-z]+:/i.test(href)) return match;
+    const candidates = [
+      path.posix.normalize(`${entry.folder}/${href}`),
+      path.posix.normalize(href).replace(new RegExp(`^(\\./)?${outputDirName}/`), ''),
+    ];
+    const target = candidates.find((candidate) => urls[candidate]);
+    return target ? `href="../../${urls[target]}${hash}"` : match;
+  });
+}
+
+/**
+ * Searchable text of a parsed block
+ */
+function blockText(block) {
+  switch (block.type) {
+    case 'heading':
+    case 'code':
+      return block.text;
+    case 'paragraph':
+      return block.lines.join(' ');
+    case 'list':
+      return block.items
+        .map((item) => [item.text, ...item.children.map(blockText)].join(' '))
+        .join(' ');
+    case 'table':
+      return [block.header, ...block.rows].map((row) => row.join(' ')).join(' ');
+    case 'quote':
+      return block.children.map(blockText).join(' ');
+    default:
+      return '';
+  }
+}
+
+function documentItem(entry, root) {
+  const meta = [entry.date, typeHeading(entry.docType), entry.source?.label, entry.status]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' · ');
+  return `<li><a href="${root}${pageUrl(entry)}">${escapeHtml(entry.title)}</a><div class="meta">${meta}</div></li>`;
+}
+
+function documentList(entries, root) {
+  return `<ul class="doc-list">\n${entries.map((entry) => documentItem(entry, root)).join('\n')}\n</ul>`;
+}
+
+class SiteBuilder {
+  /**
+   * @param {object} options
+   * @param {string} options.sourceDir - the generated documents (absolute)
+   * @param {string} options.siteDir - where the site is written (absolute)
+   * @param {string} options.title - site title
+   * @param {Array<string>} options.docTypes - known document types
+   */
+  constructor({ sourceDir, siteDir, title, docTypes = [] }) {
+    this.sourceDir = sourceDir;
+    this.siteDir = siteDir;
+    this.title = title || 'Chroniclr Documentation';
+    this.docTypes = docTypes;
+    this.entries = [];
+    this.hasMermaid = false;
+  }
+
+  /**
+   * mermaid.js from node_modules, when installed, so diagrams render
+   * without a CDN
+   */
+  findMermaid() {
+    try {
+      return require.resolve('mermaid/dist/mermaid.min.js');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Empty the site directory, refusing to touch one Chroniclr didn't create
+   */
+  async prepareSiteDir() {
+    const protectedDirs = [process.cwd(), this.sourceDir];
+    if (protectedDirs.some((dir) => !path.relative(this.siteDir, dir).startsWith('..'))) {
+      throw new Error(`Refusing to build the site into ${this.siteDir}: it contains the repository or the documents`);
+    }
+
+    const existing = await fs.readdir(this.siteDir).catch(() => null);
+    if (existing && existing.length > 0 && !existing.includes(SITE_MARKER)) {
+      throw new Error(`${this.siteDir} exists and was not built by Chroniclr; choose another site directory`);
+    }
+    await fs.rm(this.siteDir, { recursive: true, force: true });
+    await fs.mkdir(path.join(this.siteDir, 'assets'), { recursive: true });
+    await fs.writeFile(path.join(this.siteDir, SITE_MARKER), '', 'utf8');
+  }
+
+  layout({ title, root, content, sidebar = '', scripts = [] }) {
+    return `<!DOCTYPE html>
+<html lang="en" data-root="${root}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="generator" content="Chroniclr" />
+<title>${escapeHtml(title === this.title ? title : `${title} · ${this.title}`)}</title>
+<link rel="stylesheet" href="${root}assets/site.css" />
+</head>
+<body>
+<header class="site-header">
+<a href="${root}index.html">${escapeHtml(this.title)}</a>
+<nav>
+<a href="${root}index.html">By date</a>
+<a href="${root}topics.html">By topic</a>
+<a href="${root}types.html">By type</a>
+</nav>
+<form action="${root}search.html" method="get"><input id="search-input" name="q" type="search" placeholder="Search documents" /></form>
+</header>
+<div class="layout">
+<main>
+${content}
+</main>
+${sidebar ? `<aside>\n${sidebar}\n</aside>` : ''}
+</div>
+${scripts.map((script) => `<script src="${root}${script}"></script>`).join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Sidebar shared by all pages: latest documents and the type and topic groups
+   */
+  sidebar(root) {
+    const entries = this.entries;
+    const types = Object.keys(groupBy(entries, (entry) => entry.docType)).sort();
+    const topics = Object.keys(groupBy(entries, (entry) => entry.topic)).sort();
+    const link = (href, text) => `<li><a href="${root}${href}">${escapeHtml(text)}</a></li>`;
+    return [
+      '<h3>Latest</h3>',
+      '<ul>',
+      ...entries.slice(0, 8).map((entry) => link(pageUrl(entry), entry.title)),
+      '</ul>',
+      '<h3>Document types</h3>',
+      '<ul>',
+      ...types.map((docType) => link(`types.html#${docType}`, typeHeading(docType))),
+      '</ul>',
+      '<h3>Topics</h3>',
+      '<ul>',
+      ...topics.map((topic) => link(`topics.html#${topic}`, topic)),
+      '</ul>',
+    ].join('\n');
+  }
+
+  groupPage(title, groups, { root, sidebar, heading = (name) => name }) {
+    const sections = Object.keys(groups).map(
+      (name) =>
+        `<h2 id="${escapeHtml(name)}">${escapeHtml(heading(name))}</h2>\n${documentList(groups[name], root)}`
+    );
+    return this.layout({
+      title,
+      root,
+      sidebar,
+      content: `<h1>${escapeHtml(title)}</h1>\n${sections.join('\n') || '<p>No documents have been generated yet.</p>'}`,
+    });
+  }
+
+  async writePage(relativePath, html) {
+    const filePath = path.join(this.siteDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, html, 'utf8');
+  }
+
+  /**
+   * Write a document's page and return its plain text for the search index
+   */
+  async renderDocument(entry, urls) {
+    const root = '../../';
+    const markdown = await fs.readFile(path.join(this.sourceDir, entry.path), 'utf8');
+    const blocks = parseMarkdown(markdown);
+    const html = rewriteDocumentLinks(
+      renderBlocks(blocks, 'html'),
+      entry,
+      urls,
+      path.basename(this.sourceDir)
+    );
+
+    const tags = entry.tags.map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+    const related = relatedDocuments(entry, this.entries);
+    const relatedSection =
+      related.length > 0
+        ? `<section class="related">\n<h2>Related documents</h2>\n<ul class="doc-list">\n${related
+            .map(
+              ({ entry: other, reasons }) =>
+                `<li><a href="${root}${pageUrl(other)}">${escapeHtml(other.title)}</a><div class="meta">${escapeHtml(
+                  [other.date, typeHeading(other.docType), `shares ${reasons.join(', ')}`].join(' · ')
+                )}</div></li>`
+            )
+            .join('\n')}\n</ul>\n</section>`
+        : '';
+
+    const hasDiagrams = blocks.some((block) => block.type === 'code' && block.language === 'mermaid');
+    const scripts =
+      hasDiagrams && this.hasMermaid ? ['assets/mermaid.min.js', 'assets/mermaid-init.js'] : [];
+
+    await this.writePage(
+      pageUrl(entry),
+      this.layout({
+        title: entry.title,
+        root,
+        sidebar: this.sidebar(root),
+        scripts,
+        content: [
+          `<p class="meta">${escapeHtml(
+            [entry.date, typeHeading(entry.docType), entry.source?.label, entry.status]
+              .filter(Boolean)
+              .join(' · ')
+          )} · <a href="${root}topics.html#${escapeHtml(entry.topic || 'other')}">${escapeHtml(
+            entry.topic || 'other'
+          )}</a></p>`,
+          tags ? `<p>${tags}</p>` : '',
+          html,
+          relatedSection,
+        ]
+          .filter(Boolean)
+          .join('\n'),
+      })
+    );
+
+    return blocks.map(blockText).join(' ');
+  }
+
+  /**
+   * Build the site
+   *
+   * @returns {Promise<{pages: number, siteDir: string}>}
+   */
+  async build() {
+    const entries = await buildDocumentIndex(this.sourceDir, this.docTypes);
+    this.entries = entries;
+    await this.prepareSiteDir();
+
+    const mermaid = this.findMermaid();
+    if (mermaid) {
+      await fs.copyFile(mermaid, path.join(this.siteDir, 'assets', 'mermaid.min.js'));
+      await fs.writeFile(
+        path.join(this.siteDir, 'assets', 'mermaid-init.js'),
+        'mermaid.initialize({ startOnLoad: true });\n',
+        'utf8'
+      );
+      this.hasMermaid = true;
+    }
+
+    const urls = Object.fromEntries(entries.map((entry) => [entry.path, pageUrl(entry)]));
+
+    const searchIndex = [];
+    for (const entry of entries) {
+      const text = await this.renderDocument(entry, urls);
+      searchIndex.push({
+        title: entry.title,
+        url: pageUrl(entry),
+        date: entry.date,
+        docType: entry.docType,
+        topic: entry.topic || '',
+        source: entry.source?.label || '',
+        tags: entry.tags,
+        keywords: entry.keywords,
+        text: text.replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_SEARCH_TEXT),
+      });
+    }
+
+    const root = '';
+    const sidebar = this.sidebar(root);
+    await this.writePage(
+      'index.html',
+      this.groupPage(this.title, groupBy(entries, (entry) => entry.date), { root, sidebar })
+    );
+    const byTopic = groupBy(entries, (entry) => entry.topic);
+    await this.writePage(
+      'topics.html',
+      this.groupPage(
+        'Documents by topic',
+        Object.fromEntries(Object.keys(byTopic).sort().map((topic) => [topic, byTopic[topic]])),
+        { root, sidebar }
+      )
+    );
+    const byType = groupBy(entries, (entry) => entry.docType);
+    await this.writePage(
+      'types.html',
+      this.groupPage(
+        'Documents by type',
+        Object.fromEntries(Object.keys(byType).sort().map((docType) => [docType, byType[docType]])),
+        { root, sidebar, heading: typeHeading }
+      )
+    );
+    await this.writePage(
+      'search.html',
+      this.layout({
+        title: 'Search',
+        root,
+        sidebar,
+        scripts: ['assets/search-index.js', 'assets/search.js'],
+        content: '<h1>Search</h1>\n<p id="search-summary" class="meta"></p>\n<ul id="search-results" class="doc-list"></ul>',
+      })
+    );
+
+    await this.writePage('assets/site.css', SITE_STYLESHEET);
+    await this.writePage('assets/search.js', SEARCH_SCRIPT);
+    await this.writePage(
+      'assets/search-index.js',
+      `window.CHRONICLR_SEARCH = ${JSON.stringify(searchIndex)};\n`
+    );
+    // GitHub Pages would otherwise run Jekyll and skip some files
+    await this.writePage('.nojekyll', '');
+
+    if (!mermaid && searchIndex.length > 0) {
+      core.info('ℹ️ mermaid is not installed; diagrams are shown as source (npm install mermaid to render them)');
+    }
+    return { pages: entries.length, siteDir: this.siteDir };
+  }
+}
+
+/**
+ * Build the site for the configured output directory
+ *
+ * @param {object} options - { outputDir, siteDir, title } overrides
+ */
+async function buildSite(options = {}) {
+  let config = {};
+  try {
+    config = loadConfig();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const outputDir = options.outputDir || config.documents?.outputDir || 'generated';
+  const siteDir = options.siteDir || config.site?.outputDir || DEFAULT_SITE_DIR;
+  const builder = new SiteBuilder({
+    sourceDir: path.resolve(process.cwd(), outputDir),
+    siteDir: path.resolve(process.cwd(), siteDir),
+    title: options.title || config.site?.title || (config.project?.name && `${config.project.name} Documentation`),
+    docTypes: Object.keys(loadTemplateCatalog(new TemplateResolver(config))),
+  });
+
+  const result = await builder.build();
+  core.info(`🌐 Built site for ${result.pages} document(s) in ${siteDir}/ (open ${siteDir}/index.html)`);
+  return result;
+}
+
+if (require.main === module) {
+  buildSite().catch((error) => {
+    core.setFailed(`Site build failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { SiteBuilder, buildSite, relatedDocuments };
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Action item issues
+ * Opens a GitHub issue for every open action item in generated meeting
+ * notes and summaries. Each issue carries a hidden marker, so reruns for the
+ * same source find it instead of opening a duplicate.
+ */
+
+const core = require('@actions/core');
+const crypto = require('crypto');
+const path = require('path');
+const github = require('@actions/github');
+const { getRequestQueue, getGitHubApiHost } = require('./request-queue');
+const { extractActionItems } = require('../notifiers/digest');
+
+const DEFAULT_DOC_TYPES = ['meeting-notes', 'summary'];
+const BASE_LABELS = ['chroniclr', 'action-item'];
+const ACTION_ITEM_SECTIONS = /^action items?$/i;
+const MARKER_PATTERN = /<!-- chroniclr-action-item: (\{.*?\}) -->/;
+const MAX_TITLE_LENGTH = 100;
+
+const MONTHS = 'jan feb mar apr may jun jul aug sep oct nov dec'.split(' ');
+
+/**
+ * An action item's due date as YYYY-MM-DD: ISO dates as they are,
+ * "March 5" or "Mar 5, 2025" in the given (or current) year
+ */
+function parseDueDate(text, now = new Date()) {
+  if (!text) return null;
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return iso[0];
+  const named = text.match(/\b([A-Za-z]{3})[a-z]*\.? (\d{1,2})(?:, (\d{4}))?\b/);
+  const month = named ? MONTHS.indexOf(named[1].toLowerCase()) : -1;
+  if (month === -1) return null;
+  const year = named[3] || now.getUTCFullYear();
+  return `${year}-${String(month + 1).padStart(2, '0')}-${named[2].padStart(2, '0')}`;
+}
+
+/**
+ * A GitHub login from an assignee cell or mention; names with spaces
+ * ("Jane Doe") can't be assigned and stay in the issue body only
+ */
+function assigneeLogin(assignee) {
+  const login = (assignee || '').trim().replace(/^@/, '');
+  return /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/.test(login) ? login : null;
+}
+
+/**
+ * The issue title: the task without mentions and due dates
+ */
+function issueTitle(task) {
+  const title = task
+    .replace(/\s*@[\w-]+/g, '')
+    .replace(/\s*\(?\b(?:by|due:?)\s+(?:\d{4}-\d{2}-\d{2}|[A-Z][a-z]+ \d{1,2}(?:, \d{4})?)\)?/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s,;:-]+$/, '')
+    .trim();
+  return title.length > MAX_TITLE_LENGTH
+    ? `${title.slice(0, MAX_TITLE_LENGTH - 1).replace(/\s+\S*$/, '')}…`
+    : title;
+}
+
+/**
+ * Stable id of an action item: its source document and normalized task text
+ */
+function actionItemId(identity, task) {
+  const normalized = task.toLowerCase().replace(/[^\w@]+/g, ' ').trim();
+  return crypto
+    .createHash('sha256')
+    .update(`${identity.key}\n${normalized}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+class ActionItemIssues {
+  /**
+   * @param {object} options - github.actionItems from chroniclr.config.json
+   * @param {boolean} options.enabled - open issues for action items
+   * @param {Array<string>} options.docTypes - document types to read (default meeting-notes, summary)
+   * @param {Array<string>} options.labels - labels added to chroniclr and action-item
+   * @param {boolean} options.milestones - file issues under "Due <date>" milestones (default true)
+   */
+  constructor(options = {}) {
+    this.enabled = Boolean(options.enabled);
+    this.docTypes = options.docTypes || DEFAULT_DOC_TYPES;
+    this.labels = [...new Set([...BASE_LABELS, ...(options.labels || [])])];
+    this.useMilestones = options.milestones !== false;
+    this.apiHost = getGitHubApiHost();
+    this.github = null;
+    this.milestones = null;
+  }
+
+  get repo() {
+    return github.context.repo;
+  }
+
+  request(label, call) {
+    return getRequestQueue().schedule(this.apiHost, call, { label });
+  }
+
+  /**
+   * Create the GitHub client; false when there is no token or repository
+   */
+  connect() {
+    if (!process.env.GITHUB_TOKEN || !process.env.GITHUB_REPOSITORY) return false;
+    this.github = this.github || github.getOctokit(process.env.GITHUB_TOKEN);
+    return true;
+  }
+
+  /**
+   * Action item ids already filed, from the markers in existing issues
+   */
+  async existingIssues() {
+    const issues = await this.request('Action item issues', () =>
+      this.github.paginate(this.github.rest.issues.listForRepo, {
+        ...this.repo,
+        labels: 'action-item',
+        state: 'all',
+        per_page: 100,
+      })
+    );
+    const existing = new Map();
+    for (const issue of issues) {
+      const marker = (issue.body || '').match(MARKER_PATTERN);
+      if (!marker) continue;
+      try {
+        existing.set(JSON.parse(marker[1]).id, issue);
+      } catch (error) {
+        // A hand-edited marker no longer identifies an item
+      }
+    }
+    return existing;
+  }
+
+  /**
+   * An issue an action item links to, or null if it can't be read
+   */
+  async getIssue(number) {
+    try {
+      const { data: issue } = await this.request(`Issue #${number}`, () =>
+        this.github.rest.issues.get({ ...this.repo, issue_number: number })
+      );
+      return issue;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Number of the "Due <date>" milestone, created on first use
+   */
+  async milestoneFor(dueDate) {
+    if (!this.milestones) {
+      const milestones = await this.request('Milestones', () =>
+        this.github.paginate(this.github.rest.issues.listMilestones, {
+          ...this.repo,
+          state: 'all',
+          per_page: 100,
+        })
+      );
+      this.milestones = new Map(milestones.map((milestone) => [milestone.title, milestone.number]));
+    }
+
+    const title = `Due ${dueDate}`;
+    if (!this.milestones.has(title)) {
+      const { data: milestone } = await this.request(`Create milestone ${title}`, () =>
+        this.github.rest.issues.createMilestone({
+          ...this.repo,
+          title,
+          due_on: `${dueDate}T23:59:59Z`,
+          description: 'Action items due on this date (created by Chroniclr)',
+        })
+      );
+      this.milestones.set(title, milestone.number);
+    }
+    return this.milestones.get(title);
+  }
+
+  issueBody(item, id, document, data) {
+    const { GITHUB_SERVER_URL = 'https://github.com', GITHUB_REPOSITORY } = process.env;
+    const documentPath = path.relative(process.cwd(), document.filePath).split(path.sep).join('/');
+    const documentUrl = `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/blob/HEAD/${documentPath}`;
+    const source = data.discussion?.url
+      ? `[${document.identity.label}](${data.discussion.url})`
+      : document.identity.label;
+    const dueDate = parseDueDate(item.due);
+
+    return [
+      item.task,
+      '',
+      item.assignee ? `- **Assignee:** ${item.assignee}` : null,
+      item.due ? `- **Due:** ${dueDate || item.due}` : null,
+      `- **Document:** [${documentPath}](${documentUrl})`,
+      `- **Source:** ${source}`,
+      '',
+      '_Opened by Chroniclr from a generated document. Rerunning Chroniclr will not open this item again, so it can be edited or closed freely._',
+      '',
+      `<!-- chroniclr-action-item: ${JSON.stringify({ id, source: document.identity.key })} -->`,
+    ]
+      .filter((line) => line !== null)
+      .join('\n');
+  }
+
+  async createIssue(item, id, document, data) {
+    const dueDate = parseDueDate(item.due);
+    const login = assigneeLogin(item.assignee);
+    const params = {
+      ...this.repo,
+      title: issueTitle(item.task),
+      body: this.issueBody(item, id, document, data),
+      labels: this.labels,
+      ...(login && { assignees: [login] }),
+      ...(dueDate && this.useMilestones && { milestone: await this.milestoneFor(dueDate) }),
+    };
+
+    try {
+      const { data: issue } = await this.request(`Create issue "${params.title}"`, () =>
+        this.github.rest.issues.create(params)
+      );
+      return issue;
+    } catch (error) {
+      // Assignees must have access to the repository
+      if (error.status !== 422 || !params.assignees) throw error;
+      core.warning(`📌 Could not assign @${login}; opening the issue unassigned`);
+      delete params.assignees;
+      const { data: issue } = await this.request(`Create issue "${params.title}"`, () =>
+        this.github.rest.issues.create(params)
+      );
+      return issue;
+    }
+  }
+
+  /**
+   * Open issues for the open action items of saved documents. Failures are
+   * logged and never fail the run.
+   *
+   * @param {Array} documents - { docType, content, filePath, identity }
+   * @param {object} data - collected source data
+   */
+  async track(documents, data, { dryRun = false } = {}) {
+    const selected = documents
+      .filter((document) => this.docTypes.includes(document.docType))
+      .map((document) => ({
+        document,
+        items: extractActionItems(document.content, ACTION_ITEM_SECTIONS),
+      }))
+      .filter(({ items }) => items.length > 0);
+    if (selected.length === 0) return;
+
+    if (dryRun) {
+      selected.forEach(({ document, items }) =>
+        core.info(`📌 Would track ${items.length} action item(s) from ${document.fileName}`)
+      );
+      return;
+    }
+
+    if (!this.connect()) {
+      core.warning('📌 Action item issues need GITHUB_TOKEN and GITHUB_REPOSITORY; skipping');
+      return;
+    }
+
+    try {
+      const existing = await this.existingIssues();
+      for (const { document, items } of selected) {
+        for (const item of items) {
+          const id = actionItemId(document.identity, item.task);
+          if (existing.has(id)) {
+            core.info(`📌 Already tracked in #${existing.get(id).number}: ${issueTitle(item.task)}`);
+            continue;
+          }
+          const issue = await this.createIssue(item, id, document, data);
+          existing.set(id, issue);
+          core.info(`📌 Opened #${issue.number}: ${issue.title} → ${issue.html_url}`);
+        }
+      }
+    } catch (error) {
+      core.warning(`📌 Failed to open action item issues: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { ActionItemIssues, parseDueDate, issueTitle, actionItemId };
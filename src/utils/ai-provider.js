@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Pluggable LLM Provider
+ * Maps chat completion requests onto OpenAI-compatible or Anthropic-style APIs
+ */
+
+const core = require('@actions/core');
+const { getRequestQueue } = require('./request-queue');
+
+// Built-in provider presets. Any field can be overridden from the `ai`
+// section of chroniclr.config.json or the CHRONICLR_AI_* environment variables.
+const PROVIDER_PRESETS = {
+  'github-models': {
+    format: 'openai',
+    baseURL: 'https://models.github.ai/inference',
+    model: 'gpt-4o',
+    apiKeyEnv: 'GITHUB_TOKEN',
+    authScheme: 'bearer',
+  },
+  openai: {
+    format: 'openai',
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    authScheme: 'bearer',
+  },
+  ollama: {
+    format: 'openai',
+    baseURL: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    apiKeyEnv: null,
+    authScheme: 'none',
+  },
+  'llama-cpp': {
+    format: 'openai',
+    baseURL: 'http://localhost:8080/v1',
+    model: 'local-model',
+    apiKeyEnv: null,
+    authScheme: 'none',
+  },
+  anthropic: {
+    format: 'anthropic',
+    baseURL: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-sonnet-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    authScheme: 'x-api-key',
+    apiVersion: '2023-06-01',
+  },
+};
+
+const DEFAULT_PROVIDER = 'github-models';
+
+// Settings tied to one provider's endpoint
+const ENDPOINT_SETTINGS = ['model', 'baseURL', 'format', 'authScheme', 'apiKeyEnv', 'apiVersion', 'headers'];
+
+/**
+ * Resolve the effective provider settings from preset, config and env
+ */
+function resolveProviderConfig(config = {}) {
+  const aiConfig = config.ai || {};
+  const providerName =
+    process.env.CHRONICLR_AI_PROVIDER || aiConfig.provider || DEFAULT_PROVIDER;
+  const preset = PROVIDER_PRESETS[providerName];
+
+  if (
+    !preset &&
+    !(aiConfig.baseURL && aiConfig.provider === providerName) &&
+    !process.env.CHRONICLR_AI_BASE_URL
+  ) {
+    throw new Error(
+      `Unknown AI provider "${providerName}". Available providers: ${Object.keys(
+        PROVIDER_PRESETS
+      ).join(', ')} (or set ai.baseURL for a custom endpoint)`
+    );
+  }
+
+  // The config's endpoint settings describe the provider it names, so they
+  // don't follow a switch to another provider through CHRONICLR_AI_PROVIDER
+  const sameProvider = !aiConfig.provider || aiConfig.provider === providerName;
+  const generalConfig = Object.fromEntries(
+    Object.entries(aiConfig).filter(([key]) => sameProvider || !ENDPOINT_SETTINGS.includes(key))
+  );
+
+  const settings = {
+    format: 'openai',
+    authScheme: 'bearer',
+    headers: {},
+    temperature: 0.2,
+    maxTokens: 2000,
+    ...(preset || {}),
+    ...generalConfig,
+    name: providerName,
+  };
+
+  // Environment variables win over config so workflows can switch providers per run
+  if (process.env.CHRONICLR_AI_BASE_URL) {
+    settings.baseURL = process.env.CHRONICLR_AI_BASE_URL;
+  }
+  if (process.env.CHRONICLR_AI_MODEL) {
+    settings.model = process.env.CHRONICLR_AI_MODEL;
+  }
+  if (process.env.CHRONICLR_AI_FORMAT) {
+    settings.format = process.env.CHRONICLR_AI_FORMAT;
+  }
+  if (process.env.CHRONICLR_AI_AUTH_SCHEME) {
+    settings.authScheme = process.env.CHRONICLR_AI_AUTH_SCHEME;
+  }
+  if (process.env.CHRONICLR_AI_API_KEY_ENV) {
+    settings.apiKeyEnv = process.env.CHRONICLR_AI_API_KEY_ENV;
+  }
+
+  settings.baseURL = (settings.baseURL || '').replace(/\/+$/, '');
+  settings.apiKey =
+    process.env.CHRONICLR_AI_API_KEY ||
+    (settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : undefined);
+
+  return settings;
+}
+
+class AIProvider {
+  constructor(settings) {
+    this.settings = settings;
+    this.name = settings.name;
+    this.model = settings.model;
+    this.format = settings.format;
+  }
+
+  /**
+   * Build auth headers for the configured scheme
+   */
+  createAuthHeaders() {
+    const { authScheme, apiKey } = this.settings;
+
+    if (authScheme === 'none') {
+      return {};
+    }
+
+    if (!apiKey) {
+      throw new Error(
+        `No API key available for AI provider "${this.name}" (expected env var ${
+          this.settings.apiKeyEnv || 'CHRONICLR_AI_API_KEY'
+        })`
+      );
+    }
+
+    switch (authScheme) {
+      case 'bearer':
+        return { Authorization: `Bearer ${apiKey}` };
+      case 'x-api-key':
+        return { 'x-api-key': apiKey };
+      case 'api-key':
+        return { 'api-key': apiKey };
+      default:
+        throw new Error(`Unsupported auth scheme: ${authScheme}`);
+    }
+  }
+
+  /**
+   * Everything that determines a completion, for cache keys
+   */
+  describeRequest({ system, prompt, maxTokens, temperature }) {
+    return {
+      provider: this.name,
+      baseURL: this.settings.baseURL,
+      format: this.format,
+      model: this.model,
+      system,
+      prompt,
+      maxTokens: maxTokens || this.settings.maxTokens,
+      temperature:
+        temperature !== undefined ? temperature : this.settings.temperature,
+    };
+  }
+
+  /**
+   * Map a provider-neutral request onto the wire format
+   */
+  buildRequest({ system, prompt, maxTokens, temperature }) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.createAuthHeaders(),
+      ...this.settings.headers,
+    };
+    const max_tokens = maxTokens || this.settings.maxTokens;
+    const temp =
+      temperature !== undefined ? temperature : this.settings.temperature;
+
+    if (this.format === 'anthropic') {
+      headers['anthropic-version'] = this.settings.apiVersion || '2023-06-01';
+      return {
+        url: `${this.settings.baseURL}/messages`,
+        headers,
+        body: {
+          model: this.model,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens,
+          temperature: temp,
+        },
+      };
+    }
+
+    if (this.format === 'openai') {
+      return {
+        url: `${this.settings.baseURL}/chat/completions`,
+        headers,
+        body: {
+          model: this.model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ],
+          max_tokens,
+          temperature: temp,
+        },
+      };
+    }
+
+    throw new Error(`Unsupported AI provider format: ${this.format}`);
+  }
+
+  /**
+   * Extract the completion text from a provider response body
+   */
+  parseResponse(data) {
+    if (this.format === 'anthropic') {
+      return (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+    }
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Send a completion request and return the generated text
+   */
+  async complete(request) {
+    const { url, headers, body } = this.buildRequest(request);
+
+    const response = await getRequestQueue().fetch(
+      url,
+      {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      },
+      { label: `AI completion (${this.name})` }
+    );
+
+    if (!response.ok) {
+      throw new Error(`AI API failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return this.parseResponse(data);
+  }
+}
+
+/**
+ * Create the AI provider described by chroniclr.config.json and env
+ */
+function createAIProvider(config = {}) {
+  const settings = resolveProviderConfig(config);
+  core.info(
+    `AI provider: ${settings.name} (${settings.format}) at ${settings.baseURL}`
+  );
+  return new AIProvider(settings);
+}
+
+module.exports = {
+  AIProvider,
+  createAIProvider,
+  resolveProviderConfig,
+  PROVIDER_PRESETS,
+};
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Content-addressed on-disk cache
+ * Stores AI completions and source fetches under .chroniclr/cache
+ */
+
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  dir: '.chroniclr/cache',
+  ttlHours: 168,
+};
+
+function hashKey(keyParts) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(keyParts))
+    .digest('hex');
+}
+
+class Cache {
+  /**
+   * @param {object} options
+   * @param {boolean} options.enabled - CHRONICLR_NO_CACHE=1 disables the cache
+   * @param {string} options.dir - cache root, relative to the working directory
+   * @param {number} options.ttlHours - entries older than this are ignored
+   * @param {boolean} options.refresh - CHRONICLR_CACHE_REFRESH=1 skips reads but still writes
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.enabled =
+      this.options.enabled !== false && process.env.CHRONICLR_NO_CACHE !== '1';
+    this.refresh =
+      this.options.refresh === true || process.env.CHRONICLR_CACHE_REFRESH === '1';
+    this.dir = path.resolve(process.cwd(), this.options.dir);
+    this.ttlMs = this.options.ttlHours * 60 * 60 * 1000;
+    this.stats = {};
+  }
+
+  getStats(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, writes: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  entryPath(namespace, keyParts) {
+    return path.join(this.dir, namespace, `${hashKey(keyParts)}.json`);
+  }
+
+  async get(namespace, keyParts) {
+    if (!this.enabled || this.refresh) {
+      return undefined;
+    }
+
+    const stats = this.getStats(namespace);
+    try {
+      const entry = JSON.parse(
+        await fs.readFile(this.entryPath(namespace, keyParts), 'utf8')
+      );
+      if (this.ttlMs > 0 && Date.now() - entry.createdAt > this.ttlMs) {
+        stats.misses++;
+        return undefined;
+      }
+      stats.hits++;
+      return entry.value;
+    } catch (error) {
+      stats.misses++;
+      return undefined;
+    }
+  }
+
+  async set(namespace, keyParts, value) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const filePath = this.entryPath(namespace, keyParts);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(
+        filePath,
+        JSON.stringify({ createdAt: Date.now(), key: keyParts, value }, null, 2),
+        'utf8'
+      );
+      this.getStats(namespace).writes++;
+    } catch (error) {
+      core.warning(`Failed to write cache entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Return the cached value, or compute, store and return it
+   */
+  async wrap(namespace, keyParts, compute) {
+    const cached = await this.get(namespace, keyParts);
+    if (cached !== undefined) {
+      return cached;
+    }
+    const value = await compute();
+    if (value !== undefined && value !== null) {
+      await this.set(namespace, keyParts, value);
+    }
+    return value;
+  }
+
+  /**
+   * Remove all entries, or only those in one namespace
+   */
+  async clear(namespace = null) {
+    const target = namespace ? path.join(this.dir, namespace) : this.dir;
+    await fs.rm(target, { recursive: true, force: true });
+    core.info(`🧹 Cleared cache: ${path.relative(process.cwd(), target)}`);
+  }
+
+  logSummary() {
+    if (!this.enabled) {
+      core.info('💾 Cache disabled');
+      return;
+    }
+    const lines = Object.entries(this.stats).map(
+      ([namespace, { hits, misses, writes }]) =>
+        `${namespace}: ${hits} hit(s), ${misses} miss(es), ${writes} write(s)`
+    );
+    if (lines.length > 0) {
+      core.info(`💾 Cache${this.refresh ? ' (refresh)' : ''} - ${lines.join('; ')}`);
+    }
+  }
+}
+
+let sharedCache = null;
+
+function configureCache(options = {}) {
+  sharedCache = new Cache(options);
+  return sharedCache;
+}
+
+function getCache() {
+  if (!sharedCache) {
+    sharedCache = new Cache();
+  }
+  return sharedCache;
+}
+
+module.exports = { Cache, configureCache, getCache, hashKey };
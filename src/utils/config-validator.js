@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Validate chroniclr.config.json
+ * Checks the config against src/schemas/chroniclr.config.schema.json and
+ * cross-checks label mappings and template paths against the template catalog
+ */
+
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+const { loadConfig } = require('./process-labels');
+const { PROVIDER_PRESETS } = require('./ai-provider');
+const {
+  TemplateResolver,
+  loadTemplateCatalog,
+  parseFrontMatter,
+} = require('./template-catalog');
+const { TemplateEngine } = require('./template-engine');
+
+const CONFIG_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'chroniclr.config.schema.json');
+
+function loadConfigSchema() {
+  return JSON.parse(fs.readFileSync(CONFIG_SCHEMA_PATH, 'utf8'));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest known name to a misspelled one, if any is close enough
+ */
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best !== null && bestDistance <= Math.max(2, Math.floor(name.length / 3))
+    ? best
+    : null;
+}
+
+/**
+ * "Did you mean" hints for properties the schema doesn't allow, keyed by
+ * the same paths validateSchema reports
+ */
+function propertyHints(value, schema, pointer = '$', hints = {}) {
+  if (!schema || !value || typeof value !== 'object' || Array.isArray(value)) {
+    return hints;
+  }
+  const properties = schema.properties || {};
+  for (const [key, child] of Object.entries(value)) {
+    const childPointer = `${pointer}.${key}`;
+    if (properties[key]) {
+      propertyHints(child, properties[key], childPointer, hints);
+    } else if (schema.additionalProperties === false) {
+      const match = suggest(key, Object.keys(properties));
+      if (match) hints[childPointer] = match;
+    } else if (typeof schema.additionalProperties === 'object') {
+      propertyHints(child, schema.additionalProperties, childPointer, hints);
+    }
+  }
+  return hints;
+}
+
+/**
+ * Schema errors with config-relative paths and spelling hints
+ */
+function schemaErrors(config, schema = loadConfigSchema()) {
+  const hints = propertyHints(config, schema);
+  return validateSchema(config, schema).map((error) => {
+    const [pointer] = error.split(': ', 1);
+    const message = error.startsWith('$.') ? error.slice(2) : error.replace(/^\$/, '(root)');
+    return hints[pointer] ? `${message} (did you mean "${hints[pointer]}"?)` : message;
+  });
+}
+
+/**
+ * Everything the schema alone can't check: labels pointing at document types
+ * without a template, missing template files, unknown AI providers and
+ * templates that don't parse
+ */
+function crossCheck(config, resolver) {
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(config.documents?.templates || {}).forEach(([docType, file]) => {
+    if (typeof file === 'string' && !fs.existsSync(path.resolve(process.cwd(), file))) {
+      errors.push(`documents.templates.${docType}: ${file} does not exist`);
+    }
+  });
+
+  const provider = config.ai?.provider;
+  if (typeof provider === 'string' && !PROVIDER_PRESETS[provider] && !config.ai.baseURL) {
+    errors.push(
+      `ai.provider: unknown provider "${provider}" (expected ${Object.keys(PROVIDER_PRESETS).join(', ')}, or set ai.baseURL)`
+    );
+  }
+
+  let catalog;
+  try {
+    catalog = loadTemplateCatalog(resolver);
+  } catch (error) {
+    errors.push(`Templates: ${error.message}`);
+    return { errors, warnings };
+  }
+  const docTypes = Object.keys(catalog);
+
+  Object.entries(config.github?.discussionLabels || {}).forEach(([label, types]) => {
+    if (!Array.isArray(types)) return;
+    types.forEach((docType, index) => {
+      if (typeof docType !== 'string' || catalog[docType]) return;
+      const match = suggest(docType, docTypes);
+      errors.push(
+        `github.discussionLabels.${label}[${index}]: no template for document type "${docType}"${
+          match ? ` (did you mean "${match}"?)` : ''
+        }`
+      );
+    });
+  });
+
+  const routes = [
+    ...Object.entries(config.publishers || {}).map(([name, options]) => [`publishers.${name}`, options]),
+    ...Object.entries(config.notifications?.webhooks || {}).map(([name, options]) => [
+      `notifications.webhooks.${name}`,
+      options,
+    ]),
+    ['github.actionItems', config.github?.actionItems || {}],
+  ];
+  routes.forEach(([prefix, options]) => {
+    (options.docTypes || []).forEach((docType, index) => {
+      if (!catalog[docType]) {
+        errors.push(`${prefix}.docTypes[${index}]: no template for document type "${docType}"`);
+      }
+    });
+  });
+
+  (config.meetings?.series || []).forEach((series, index) => {
+    if (!series.titlePattern && !series.category) {
+      errors.push(`meetings.series[${index}]: needs a titlePattern or a category to match meetings`);
+    }
+    try {
+      new RegExp(series.titlePattern || '');
+    } catch (error) {
+      errors.push(`meetings.series[${index}].titlePattern: ${error.message}`);
+    }
+  });
+
+  // Variables a template uses should be declared in its front-matter
+  const engine = new TemplateEngine({ partials: resolver.loadPartials() });
+  for (const metadata of Object.values(catalog)) {
+    const { body } = parseFrontMatter(fs.readFileSync(metadata.path, 'utf8'));
+    try {
+      const undeclared = engine
+        .variables(body)
+        .filter((name) => !metadata.variables.includes(name));
+      if (undeclared.length > 0) {
+        warnings.push(
+          `Template ${metadata.name} uses undeclared variable(s): ${undeclared.join(', ')}`
+        );
+      }
+    } catch (error) {
+      errors.push(`Template ${metadata.name}: ${error.message}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate a parsed config. Cross-checks only run once the shape is right,
+ * so a typo reports one error rather than a cascade.
+ *
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateConfig(config, resolver = new TemplateResolver(config)) {
+  const errors = schemaErrors(config);
+  if (errors.length > 0) {
+    return { errors, warnings: [] };
+  }
+  return crossCheck(config, resolver);
+}
+
+/**
+ * Load and validate chroniclr.config.json, logging every problem.
+ * Throws when the config has errors.
+ */
+function checkConfig() {
+  const config = loadConfig();
+  const { errors, warnings } = validateConfig(config);
+
+  warnings.forEach((warning) => core.warning(warning));
+  if (errors.length > 0) {
+    errors.forEach((error) => core.error(`chroniclr.config.json: ${error}`));
+    throw new Error(
+      `chroniclr.config.json has ${errors.length} error(s); see above`
+    );
+  }
+  core.info('✅ chroniclr.config.json is valid');
+  return config;
+}
+
+function main() {
+  try {
+    checkConfig();
+  } catch (error) {
+    core.setFailed(`Configuration error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CONFIG_SCHEMA_PATH,
+  loadConfigSchema,
+  validateConfig,
+  checkConfig,
+};
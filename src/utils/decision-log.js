@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Decision log
+ * Architecture decision records live in <outputDir>/adr as sequentially
+ * numbered files (0007-use-postgres.md). This module numbers new records,
+ * links a record to the decisions its discussion supersedes and keeps the
+ * decision log in adr/README.md.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseSourceDocument } = require('./source-documents');
+
+const ADR_FOLDER = 'adr';
+const ADR_FILE_PATTERN = /^(\d{4})-.*\.md$/;
+const MAX_SLUG_LENGTH = 50;
+
+const LOG_START = '<!-- chroniclr-decision-log:start -->';
+const LOG_END = '<!-- chroniclr-decision-log:end -->';
+
+const STATUS_LINE_PATTERN = /^\*\*Status:\*\*[ \t]*(.*?)[ \t]*$/m;
+const SUPERSEDES_LINE_PATTERN = /^\*\*Supersedes:\*\*.*\n?/m;
+const TITLE_PATTERN = /^#\s+(?:ADR-\d+:\s*)?(.+)$/m;
+
+// "supersedes ADR-3", "overrides ADR 0003", "replaces #41" (a discussion)
+const SUPERSEDE_VERBS = '(?:supersed(?:e|es|ing)|overrid(?:e|es|ing)|replac(?:e|es|ing)|revers(?:e|es|ing))';
+const SUPERSEDES_ADR_PATTERN = new RegExp(`\\b${SUPERSEDE_VERBS}\\b[^.\\n]{0,40}?\\bADR[- ]?0*(\\d+)`, 'gi');
+const SUPERSEDES_DISCUSSION_PATTERN = new RegExp(
+  `\\b${SUPERSEDE_VERBS}\\b[^.\\n]{0,40}?(?:#|/discussions/)(\\d+)\\b`,
+  'gi'
+);
+
+function adrLabel(number) {
+  return `ADR-${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * File name of a new record: its number and a slug of its title
+ */
+function adrFileName(number, title) {
+  const slug = String(title || 'decision')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+  return `${String(number).padStart(4, '0')}-${slug || 'decision'}.md`;
+}
+
+/**
+ * Every record in the adr folder, lowest number first
+ *
+ * @param {string} adrDir - absolute path of <outputDir>/adr
+ * @returns {Promise<Array<{number, fileName, filePath, title, status, date, source, content}>>}
+ */
+async function listDecisions(adrDir) {
+  const files = await fs.readdir(adrDir).catch(() => []);
+  const decisions = [];
+  for (const fileName of files.filter((file) => ADR_FILE_PATTERN.test(file)).sort()) {
+    const filePath = path.join(adrDir, fileName);
+    const content = await fs.readFile(filePath, 'utf8');
+    const { marker, body, entries } = parseSourceDocument(content);
+    decisions.push({
+      number: Number(fileName.match(ADR_FILE_PATTERN)[1]),
+      fileName,
+      filePath,
+      title: (body.match(TITLE_PATTERN) || [])[1]?.trim() || fileName,
+      status: (body.match(STATUS_LINE_PATTERN) || [])[1] || 'Unknown',
+      date: entries.length > 0 ? entries[0].slice(0, 10) : null,
+      source: marker ? { key: marker.source, label: marker.label } : null,
+      content,
+    });
+  }
+  return decisions;
+}
+
+async function nextDecisionNumber(adrDir) {
+  const decisions = await listDecisions(adrDir);
+  return decisions.length > 0 ? decisions[decisions.length - 1].number + 1 : 1;
+}
+
+/**
+ * Records a discussion says it supersedes, by ADR number or by the number
+ * of the discussion a record was generated from
+ *
+ * @param {Array} decisions - from listDecisions
+ * @param {string} text - discussion body and comments
+ * @param {string} ownFile - the new record, never superseded by itself
+ */
+function findSuperseded(decisions, text, ownFile) {
+  const numbers = new Set([...(text || '').matchAll(SUPERSEDES_ADR_PATTERN)].map((match) => Number(match[1])));
+  const discussions = new Set(
+    [...(text || '').matchAll(SUPERSEDES_DISCUSSION_PATTERN)].map((match) => `discussion-${match[1]}`)
+  );
+  return decisions.filter(
+    (decision) =>
+      decision.fileName !== ownFile &&
+      (numbers.has(decision.number) || discussions.has(decision.source?.key))
+  );
+}
+
+function decisionLink(decision) {
+  return `[${adrLabel(decision.number)}: ${decision.title}](${decision.fileName})`;
+}
+
+/**
+ * The record that supersedes this one, if any: the newest record whose
+ * Supersedes line links to it
+ */
+function findSupersededBy(decisions, fileName) {
+  return (
+    [...decisions]
+      .reverse()
+      .find((decision) =>
+        (decision.content.match(SUPERSEDES_LINE_PATTERN) || [''])[0].includes(`(${fileName})`)
+      ) || null
+  );
+}
+
+function supersededStatus(newer) {
+  return `**Status:** Superseded by ${decisionLink(newer)}  `;
+}
+
+function setStatus(content, status) {
+  return STATUS_LINE_PATTERN.test(content)
+    ? content.replace(STATUS_LINE_PATTERN, status)
+    : content.replace(/^(#\s+.+)$/m, `$1\n\n${status}`);
+}
+
+/**
+ * A generated record with its number in the title, a Supersedes line
+ * under its status, and the status of a record already superseded, so a
+ * regeneration keeps it
+ *
+ * @param {string} content - generated markdown
+ * @param {number} number - the record's number
+ * @param {object} links
+ * @param {Array} links.supersedes - records this one supersedes
+ * @param {object|null} links.supersededBy - the record superseding this one
+ */
+function decorateDecision(content, number, { supersedes = [], supersededBy = null } = {}) {
+  let decorated = content.replace(/^#\s+(?:ADR-\d+:\s*)?(.+)$/m, `# ${adrLabel(number)}: $1`);
+  decorated = decorated.replace(SUPERSEDES_LINE_PATTERN, '');
+  if (supersededBy) {
+    decorated = setStatus(decorated, supersededStatus(supersededBy));
+  }
+  if (supersedes.length > 0) {
+    const line = `**Supersedes:** ${supersedes.map(decisionLink).join(', ')}  `;
+    decorated = decorated.replace(STATUS_LINE_PATTERN, (status) => `${status}\n${line}`);
+  }
+  return decorated;
+}
+
+/**
+ * Mark an older record as superseded: its status links the newer record
+ * and its changelog says when. Records already superseded are left alone.
+ *
+ * @returns {Promise<boolean>} whether the record was changed
+ */
+async function markSuperseded(decision, newer) {
+  if (/^superseded\b/i.test(decision.status)) {
+    return false;
+  }
+  const now = new Date().toISOString().replace('T', ' ').slice(0, 16);
+  let content = setStatus(decision.content, supersededStatus(newer));
+  content = `${content.trimEnd()}\n- ${now} UTC: Superseded by ${adrLabel(newer.number)}\n`;
+  await fs.writeFile(decision.filePath, content, 'utf8');
+  return true;
+}
+
+function tableCell(text) {
+  return String(text || '—')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\|/g, '\\|')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function renderDecisionLog(decisions) {
+  const lines = [LOG_START, '## Decision Log', ''];
+  if (decisions.length === 0) {
+    lines.push('_No decisions have been recorded yet._');
+  } else {
+    lines.push(
+      '| ADR | Decision | Status | Date | Source |',
+      '| --- | --- | --- | --- | --- |',
+      ...decisions.map(
+        (decision) =>
+          `| ${adrLabel(decision.number)} | [${tableCell(decision.title)}](${encodeURI(
+            decision.fileName
+          )}) | ${tableCell(decision.status)} | ${tableCell(decision.date)} | ${tableCell(
+            decision.source?.label
+          )} |`
+      )
+    );
+  }
+  lines.push('', LOG_END);
+  return lines.join('\n');
+}
+
+/**
+ * Rebuild the decision log in adr/README.md, keeping any text around it.
+ * Does nothing when there are no records.
+ *
+ * @returns {Promise<number>} the number of records listed
+ */
+async function writeDecisionLog(adrDir) {
+  const decisions = await listDecisions(adrDir);
+  if (decisions.length === 0) return 0;
+
+  const readmePath = path.join(adrDir, 'README.md');
+  const existing = await fs.readFile(readmePath, 'utf8').catch(() => '');
+  const section = renderDecisionLog(decisions);
+  const start = existing.indexOf(LOG_START);
+  const end = existing.indexOf(LOG_END);
+  const readme =
+    start !== -1 && end > start
+      ? `${existing.slice(0, start)}${section}${existing.slice(end + LOG_END.length)}`
+      : `# Architecture Decision Records\n\nDecisions generated by Chroniclr from discussions, numbered in the order they were recorded. A record that supersedes an older one links to it, and the older record's status links back.\n\n${section}\n`;
+  if (readme !== existing) {
+    await fs.writeFile(readmePath, readme, 'utf8');
+  }
+  return decisions.length;
+}
+
+module.exports = {
+  ADR_FOLDER,
+  adrLabel,
+  adrFileName,
+  listDecisions,
+  nextDecisionNumber,
+  findSuperseded,
+  findSupersededBy,
+  decorateDecision,
+  markSuperseded,
+  writeDecisionLog,
+};
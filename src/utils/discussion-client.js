@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Discussion Client
+ * Fetches a discussion with its whole comment thread (every comment and
+ * reply, paged through GraphQL), category, labels, reactions and accepted
+ * answer for documentation generation
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const { getRequestQueue, getGitHubApiHost } = require('./request-queue');
+const { getFixtures } = require('./fixtures');
+
+const PAGE_SIZE = 100;
+
+const REACTION_EMOJI = {
+  THUMBS_UP: '👍',
+  THUMBS_DOWN: '👎',
+  LAUGH: '😄',
+  HOORAY: '🎉',
+  CONFUSED: '😕',
+  HEART: '❤️',
+  ROCKET: '🚀',
+  EYES: '👀',
+};
+
+const REACTIONS_FRAGMENT = `reactionGroups { content reactors { totalCount } }`;
+
+const REPLY_FIELDS = `
+  id
+  url
+  body
+  createdAt
+  author { login }
+  ${REACTIONS_FRAGMENT}
+`;
+
+const DISCUSSION_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $after: String) {
+    repository(owner: $owner, name: $name) {
+      discussion(number: $number) {
+        number
+        title
+        body
+        url
+        createdAt
+        updatedAt
+        author { login }
+        category { name slug }
+        labels(first: ${PAGE_SIZE}) { nodes { name } }
+        answer { id }
+        ${REACTIONS_FRAGMENT}
+        comments(first: ${PAGE_SIZE}, after: $after) {
+          totalCount
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            ${REPLY_FIELDS}
+            isAnswer
+            replies(first: ${PAGE_SIZE}) {
+              totalCount
+              pageInfo { hasNextPage endCursor }
+              nodes { ${REPLY_FIELDS} }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const REPLIES_QUERY = `
+  query($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on DiscussionComment {
+        replies(first: ${PAGE_SIZE}, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REPLY_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Reaction counts by GraphQL content name, without the empty ones
+ */
+function reactionCounts(node) {
+  return Object.fromEntries(
+    (node.reactionGroups || [])
+      .filter((group) => group.reactors?.totalCount > 0)
+      .map((group) => [group.content, group.reactors.totalCount])
+  );
+}
+
+function formatReactions(reactions = {}) {
+  return Object.entries(reactions)
+    .map(([content, count]) => `${REACTION_EMOJI[content] || content} ${count}`)
+    .join(' ');
+}
+
+function toReply(node) {
+  return {
+    id: node.id,
+    author: node.author?.login || 'ghost',
+    body: node.body || '',
+    createdAt: node.createdAt,
+    url: node.url,
+    reactions: reactionCounts(node),
+  };
+}
+
+/**
+ * The discussion thread as prompt text: one item per comment, replies
+ * indented under it, the accepted answer and reactions marked
+ */
+function formatThread(discussion) {
+  return (discussion.comments || []).map((comment) => {
+    const heading = (kind, entry) => {
+      const reactions = formatReactions(entry.reactions);
+      return `**${kind} by @${entry.author}${entry.createdAt ? ` (${entry.createdAt})` : ''}${
+        entry.isAnswer ? ' ✅ accepted answer' : ''
+      }${reactions ? ` ${reactions}` : ''}:**`;
+    };
+    const replies = (comment.replies || []).map(
+      (reply) =>
+        `\n\n> ${heading('Reply', reply)}\n${reply.body
+          .split('\n')
+          .map((line) => `> ${line}`)
+          .join('\n')}`
+    );
+    return `\n\n${heading('Comment', comment)}\n${comment.body}${replies.join('')}`;
+  });
+}
+
+class DiscussionClient {
+  constructor() {
+    this.context = github.context;
+    this.apiHost = getGitHubApiHost();
+    this.github = null;
+  }
+
+  /**
+   * Replayed runs need no token; live runs need a token and a repository
+   */
+  get available() {
+    return (
+      getFixtures().replaying ||
+      Boolean(process.env.GITHUB_TOKEN && process.env.GITHUB_REPOSITORY)
+    );
+  }
+
+  /**
+   * Run a GraphQL query through the shared request queue, or serve it
+   * from the fixture bundle when recording/replaying
+   */
+  graphql(label, query, variables) {
+    if (!this.github) {
+      this.github = github.getOctokit(
+        process.env.GITHUB_TOKEN ||
+          (getFixtures().replaying ? 'fixture-replay' : undefined)
+      );
+    }
+    return getFixtures().replayable('github', label, () =>
+      getRequestQueue().schedule(
+        this.apiHost,
+        () => this.github.graphql(query, variables),
+        { label }
+      )
+    );
+  }
+
+  /**
+   * Replies beyond the first page of a comment
+   */
+  async fetchMoreReplies(commentId, after) {
+    const replies = [];
+    let cursor = after;
+    while (cursor) {
+      const result = await this.graphql(
+        `Discussion comment ${commentId} replies after ${cursor}`,
+        REPLIES_QUERY,
+        { id: commentId, after: cursor }
+      );
+      const page = result.node.replies;
+      replies.push(...page.nodes.map(toReply));
+      cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    }
+    return replies;
+  }
+
+  /**
+   * Fetch a discussion and its full thread. Without a token, or when the
+   * fetch fails, the discussion as given (e.g. by the workflow or CLI
+   * flags) is returned unchanged.
+   *
+   * @param {object} given - { number, title, body, author, url, ... }
+   */
+  async fetchDiscussion(given) {
+    if (!this.available) {
+      core.info(
+        `Using discussion #${given.number} as given (set GITHUB_TOKEN and GITHUB_REPOSITORY to fetch comments)`
+      );
+      return given;
+    }
+
+    try {
+      core.info(`Fetching discussion #${given.number}`);
+      const number = parseInt(given.number, 10);
+      let discussion = null;
+      const comments = [];
+      let cursor = null;
+
+      do {
+        const result = await this.graphql(
+          `Discussion #${number}${cursor ? ` comments after ${cursor}` : ''}`,
+          DISCUSSION_QUERY,
+          {
+            owner: this.context.repo.owner,
+            name: this.context.repo.repo,
+            number,
+            after: cursor,
+          }
+        );
+        discussion = result.repository.discussion;
+        if (!discussion) {
+          throw Object.assign(new Error('not found'), { status: 404 });
+        }
+
+        for (const node of discussion.comments.nodes) {
+          const replies = node.replies.nodes.map(toReply);
+          if (node.replies.pageInfo.hasNextPage) {
+            replies.push(...(await this.fetchMoreReplies(node.id, node.replies.pageInfo.endCursor)));
+          }
+          comments.push({ ...toReply(node), isAnswer: Boolean(node.isAnswer), replies });
+        }
+
+        const { pageInfo } = discussion.comments;
+        cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+      } while (cursor);
+
+      const answer = comments.find((comment) => comment.isAnswer) || null;
+      const replyCount = comments.reduce((total, comment) => total + comment.replies.length, 0);
+      core.info(
+        `✅ Fetched discussion #${number}: "${discussion.title}" (${comments.length} comments, ${replyCount} replies)`
+      );
+
+      return {
+        ...given,
+        number: discussion.number,
+        title: discussion.title,
+        body: discussion.body || '',
+        author: discussion.author?.login || given.author,
+        url: discussion.url,
+        category: discussion.category?.name || given.category || null,
+        labels: discussion.labels.nodes.map((label) => label.name),
+        createdAt: discussion.createdAt,
+        updatedAt: discussion.updatedAt,
+        reactions: reactionCounts(discussion),
+        answer: answer ? { author: answer.author, body: answer.body, url: answer.url } : null,
+        comments,
+      };
+    } catch (error) {
+      if (error.status === 404 || /not found|Could not resolve/i.test(error.message)) {
+        core.warning(`Discussion #${given.number} not found; using the discussion as given`);
+      } else {
+        core.warning(
+          `Failed to fetch discussion #${given.number}: ${error.message}; using the discussion as given`
+        );
+      }
+      return given;
+    }
+  }
+}
+
+module.exports = { DiscussionClient, formatThread, formatReactions };
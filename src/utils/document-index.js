@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Generated document index
+ * Rebuilds the document table in <outputDir>/README.md and the
+ * <outputDir>/index.json manifest from the documents on disk
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseMarkdown, documentTitle, OUTPUT_FORMATS } = require('./output-formats');
+const { listDocuments, parseSourceDocument } = require('./source-documents');
+
+const INDEX_START = '<!-- chroniclr-index:start -->';
+const INDEX_END = '<!-- chroniclr-index:end -->';
+const MANIFEST_FILE = 'index.json';
+const MAX_KEYWORDS = 10;
+
+const STATUS_PATTERN = /^\*\*(?:Overall )?Status:\*\*\s*(.+?)\s*$/im;
+const JIRA_KEY_PATTERN = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+// Words too common in generated documents to say anything about them
+const STOP_WORDS = new Set(
+  `about after again also been before being between both could does doing done each
+  from further have having here into itself just more most much only other over same
+  should some such than that their them then there these they this those through under
+  until very were what when where which while will with would your
+  action actions active discussion document documents generated chroniclr github items
+  item next notes overview status summary update updates updated none date time team`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+/**
+ * Parse a source key ("discussion-42", "pr-12-15", "jira-PROJ-1-PROJ-2",
+ * "sprint-1234", "version-2.4.0", "issues-7", "issues-query-label-bug") into
+ * its parts
+ */
+function parseSource(source) {
+  if (!source) return {};
+  const [, kind, rest] = source.match(/^([a-z]+)-(.*)$/) || [];
+  switch (kind) {
+    case 'discussion':
+      return { kind, discussion: Number(rest) };
+    case 'pr':
+      return { kind, prs: rest.split('-').map(Number) };
+    case 'issues':
+      return rest.startsWith('query-')
+        ? { kind, issueQuery: rest.slice('query-'.length) }
+        : { kind, issues: rest.split('-').map(Number) };
+    case 'jira':
+      return { kind, jiraKeys: rest.match(JIRA_KEY_PATTERN) || [] };
+    case 'sprint':
+      return { kind, sprint: rest };
+    case 'version':
+      return { kind, version: rest };
+    default:
+      return { kind: kind || source };
+  }
+}
+
+/**
+ * The source of a document written before source markers, from the file
+ * name the generator gives it (summary-42.md, release-pr-12-15.md, ...)
+ */
+function legacySource(docType, fileName) {
+  const rest = fileName.replace(/\.md$/, '').slice(docType.length + 1);
+  if (/^\d+$/.test(rest)) return `discussion-${rest}`;
+  if (/^(pr|issues|jira)-/.test(rest)) return rest;
+  return null;
+}
+
+function sourceLabel(parsed) {
+  switch (parsed.kind) {
+    case 'discussion':
+      return `Discussion #${parsed.discussion}`;
+    case 'pr':
+      return `PR ${parsed.prs.map((n) => `#${n}`).join(', ')}`;
+    case 'issues':
+      return parsed.issueQuery
+        ? `Issues matching ${parsed.issueQuery}`
+        : `Issues ${parsed.issues.map((n) => `#${n}`).join(', ')}`;
+    case 'jira':
+      return parsed.jiraKeys.join(', ');
+    case 'sprint':
+      return `Sprint ${parsed.sprint}`;
+    case 'version':
+      return `Release ${parsed.version}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * The document type a legacy file name starts with; the longest known
+ * type wins so "sprint-status-42.md" isn't read as a "sprint" document
+ */
+function docTypeFromFileName(fileName, docTypes) {
+  const match = [...docTypes]
+    .sort((a, b) => b.length - a.length)
+    .find((docType) => fileName.startsWith(`${docType}-`));
+  return match || fileName.replace(/-[^-]*\.md$/, '');
+}
+
+function slug(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * The most frequent meaningful words of a document's headings and text
+ */
+function extractKeywords(markdown) {
+  const counts = {};
+  const text = markdown
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\]\([^)]*\)/g, ']')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .toLowerCase();
+  for (const word of text.match(/[a-z][a-z0-9-]{3,}/g) || []) {
+    const normalized = word.replace(/-+$/, '');
+    if (STOP_WORDS.has(normalized)) continue;
+    counts[normalized] = (counts[normalized] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_KEYWORDS)
+    .map(([word]) => word);
+}
+
+/**
+ * Manifest entry for one document
+ */
+function indexEntry(document, siblings, docTypes) {
+  const { marker, body, entries } = parseSourceDocument(document.content);
+  const docType = marker?.docType || docTypeFromFileName(document.fileName, docTypes);
+  const sourceKey = marker ? marker.source : legacySource(docType, document.fileName);
+  const parsed = parseSource(sourceKey);
+  const folderDate = (document.folder.match(/^\d{4}-\d{2}-\d{2}/) || [null])[0];
+  const topic = folderDate
+    ? document.folder.slice(11).replace(/-\d+$/, '') || null
+    : document.folder;
+  const lastChange = entries.length > 0 ? entries[entries.length - 1].slice(0, 10) : null;
+  // Documents in undated folders (adr) are dated by their first changelog entry
+  const created = entries.length > 0 ? entries[0].slice(0, 10) : null;
+  const date = folderDate || (created && /^\d{4}-\d{2}-\d{2}$/.test(created) ? created : null);
+  const baseName = document.fileName.replace(/\.md$/, '');
+  const formats = Object.entries(OUTPUT_FORMATS)
+    .filter(([, { extension }]) => siblings.includes(`${baseName}${extension}`))
+    .map(([format]) => format);
+  const jiraKeys = [
+    ...new Set([...(parsed.jiraKeys || []), ...(body.match(JIRA_KEY_PATTERN) || [])]),
+  ];
+  const label = marker?.label || sourceLabel(parsed);
+
+  const tags = [
+    docType,
+    topic,
+    parsed.discussion && `discussion-${parsed.discussion}`,
+    ...(parsed.prs || []).map((number) => `pr-${number}`),
+    ...(parsed.issues || []).map((number) => `issue-${number}`),
+    ...(parsed.jiraKeys || []),
+    parsed.kind === 'sprint' && label && slug(label),
+    parsed.version && `release-${parsed.version}`,
+  ].filter(Boolean);
+
+  return {
+    path: `${document.folder}/${document.fileName}`,
+    title: documentTitle(parseMarkdown(body), docType),
+    docType,
+    date,
+    updated: lastChange && /^\d{4}-\d{2}-\d{2}$/.test(lastChange) ? lastChange : date,
+    folder: document.folder,
+    topic,
+    status: (body.match(STATUS_PATTERN) || [])[1] || null,
+    source: sourceKey ? { key: sourceKey, label, ...parsed } : null,
+    jiraKeys,
+    formats,
+    tags: [...new Set(tags)],
+    keywords: extractKeywords(body),
+  };
+}
+
+/**
+ * Index entries for every document under the output directory, newest first
+ *
+ * @param {string} baseDir - absolute output directory
+ * @param {Array<string>} docTypes - known document types, to read legacy file names
+ */
+async function buildDocumentIndex(baseDir, docTypes = []) {
+  const documents = await listDocuments(baseDir);
+  const entries = [];
+  for (const document of documents) {
+    const siblings = await fs.readdir(path.join(baseDir, document.folder));
+    entries.push(indexEntry(document, siblings, docTypes));
+  }
+  return entries.sort(
+    (a, b) =>
+      (b.date || '').localeCompare(a.date || '') ||
+      a.folder.localeCompare(b.folder) ||
+      a.docType.localeCompare(b.docType)
+  );
+}
+
+function tableCell(text) {
+  return String(text || '—').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+/**
+ * The document table between the index markers of the README
+ */
+function renderIndexSection(entries) {
+  const lines = [INDEX_START, '## Document Index', ''];
+  if (entries.length === 0) {
+    lines.push('_No documents have been generated yet._');
+  } else {
+    lines.push(
+      `${entries.length} document(s). Tools can read the same data from [\`${MANIFEST_FILE}\`](${MANIFEST_FILE}).`,
+      '',
+      '| Date | Folder | Type | Document | Source | Status |',
+      '| --- | --- | --- | --- | --- | --- |',
+      ...entries.map(
+        (entry) =>
+          `| ${tableCell(entry.date)} | \`${entry.folder}\` | ${tableCell(entry.docType)} | [${tableCell(
+            entry.title
+          )}](${encodeURI(entry.path)}) | ${tableCell(entry.source?.label)} | ${tableCell(entry.status)} |`
+      )
+    );
+  }
+  lines.push('', INDEX_END);
+  return lines.join('\n');
+}
+
+/**
+ * Replace the index section of an existing README, keeping the text
+ * around it
+ */
+function updateReadme(existing, section) {
+  const start = existing.indexOf(INDEX_START);
+  const end = existing.indexOf(INDEX_END);
+  if (start !== -1 && end > start) {
+    return `${existing.slice(0, start)}${section}${existing.slice(end + INDEX_END.length)}`;
+  }
+  return existing.trim() ? `${existing.trimEnd()}\n\n${section}\n` : `# Generated Documentation\n\n${section}\n`;
+}
+
+/**
+ * Rebuild README.md's index section and index.json in the output directory
+ *
+ * @returns {Promise<number>} the number of documents indexed
+ */
+async function writeDocumentIndex(baseDir, docTypes = []) {
+  const entries = await buildDocumentIndex(baseDir, docTypes);
+  await fs.mkdir(baseDir, { recursive: true });
+
+  const readmePath = path.join(baseDir, 'README.md');
+  const existing = await fs.readFile(readmePath, 'utf8').catch(() => '');
+  const readme = updateReadme(existing, renderIndexSection(entries));
+  if (readme !== existing) {
+    await fs.writeFile(readmePath, readme, 'utf8');
+  }
+
+  const manifest = `${JSON.stringify({ version: 1, documents: entries }, null, 2)}\n`;
+  await fs.writeFile(path.join(baseDir, MANIFEST_FILE), manifest, 'utf8');
+  return entries.length;
+}
+
+module.exports = {
+  buildDocumentIndex,
+  renderIndexSection,
+  writeDocumentIndex,
+  parseSource,
+  extractKeywords,
+};
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Document merge
+ * Three-way, section-level merge of a regenerated document with the copy
+ * people have edited since it was generated, using the previous generation
+ * as the base. Text between protected-region markers always belongs to
+ * people and is never replaced.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MERGE_BASE_DIR = '.chroniclr/merge-base';
+
+// <!-- chroniclr-protected:start --> ... <!-- chroniclr-protected:end -->
+const PROTECTED_PATTERN = /^[ \t]*<!-- chroniclr-protected:start -->[\s\S]*?<!-- chroniclr-protected:end -->[ \t]*$/gm;
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const SECTION_HEADING_PATTERN = /^##\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Split a markdown body at its level-two headings. The text before the
+ * first heading is the "" section; repeated headings get a #2, #3 suffix.
+ *
+ * @returns {Array<{key: string, heading: string, text: string}>}
+ */
+function splitSections(body) {
+  const sections = [{ key: '', heading: '', lines: [] }];
+  const seen = {};
+  let inFence = false;
+
+  for (const line of body.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && line.match(SECTION_HEADING_PATTERN);
+    if (heading) {
+      const name = heading[1].trim();
+      const base = name.toLowerCase();
+      seen[base] = (seen[base] || 0) + 1;
+      sections.push({
+        key: seen[base] > 1 ? `${base}#${seen[base]}` : base,
+        heading: name,
+        lines: [line],
+      });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections.map(({ key, heading, lines }) => ({
+    key,
+    heading,
+    text: lines.join('\n').trim(),
+  }));
+}
+
+function protectedRegions(text) {
+  return text.match(PROTECTED_PATTERN) || [];
+}
+
+/**
+ * Section text as compared by the merge: protected regions removed and
+ * trailing whitespace ignored
+ */
+function comparable(text) {
+  if (text === undefined) return undefined;
+  return text
+    .replace(PROTECTED_PATTERN, '')
+    .split('\n')
+    .map((line) => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function sectionMap(sections) {
+  return Object.fromEntries(sections.map((section) => [section.key, section]));
+}
+
+/**
+ * Merge one section. Returns the side to keep ('ours', 'theirs' or null to
+ * drop the section) and, when both sides changed it, why it conflicted.
+ */
+function mergeSection(base, ours, theirs) {
+  if (ours === undefined) {
+    if (base === undefined) return { keep: 'theirs' };
+    if (theirs === undefined || theirs === base) return { keep: null };
+    return { keep: null, conflict: 'removed by hand, but the regenerated section changed' };
+  }
+  if (theirs === undefined) {
+    if (base === undefined) return { keep: 'ours' };
+    if (ours === base) return { keep: null };
+    return { keep: 'ours', conflict: 'edited by hand, but no longer generated' };
+  }
+  if (ours === theirs || ours === base) return { keep: 'theirs' };
+  if (theirs === base) return { keep: 'ours' };
+  return { keep: 'ours', conflict: 'edited by hand and changed by the regeneration' };
+}
+
+/**
+ * Merge a regenerated body into the edited document
+ *
+ * @param {string|null} base - the previous generation (null if unknown)
+ * @param {string} ours - the document as it is in the repository now
+ * @param {string} theirs - the new generation
+ * @returns {{body: string, conflicts: Array<{section, reason, regenerated}>}}
+ */
+function mergeDocument(base, ours, theirs) {
+  const baseSections = sectionMap(splitSections(base === null ? ours : base));
+  const ourSections = splitSections(ours);
+  const ourMap = sectionMap(ourSections);
+  const theirSections = splitSections(theirs);
+  const theirMap = sectionMap(theirSections);
+
+  // Regenerated order, with sections only people have kept placed after the
+  // section they followed in the edited document
+  const order = theirSections.map((section) => section.key);
+  ourSections.forEach((section, index) => {
+    if (order.includes(section.key)) return;
+    const previous = ourSections
+      .slice(0, index)
+      .reverse()
+      .find((candidate) => order.includes(candidate.key));
+    order.splice(previous ? order.indexOf(previous.key) + 1 : 0, 0, section.key);
+  });
+
+  const merged = [];
+  const conflicts = [];
+  let orphanedRegions = [];
+
+  for (const key of order) {
+    const ourSection = ourMap[key];
+    const theirSection = theirMap[key];
+    const regions = ourSection ? protectedRegions(ourSection.text) : [];
+    const { keep, conflict } = mergeSection(
+      comparable(baseSections[key]?.text),
+      comparable(ourSection?.text),
+      comparable(theirSection?.text)
+    );
+
+    if (conflict) {
+      conflicts.push({
+        section: (ourSection || theirSection).heading || '(introduction)',
+        reason: conflict,
+        regenerated: theirSection ? theirSection.text : null,
+      });
+    }
+
+    if (keep === 'ours') {
+      merged.push([ourSection.text, ...orphanedRegions].join('\n\n'));
+      orphanedRegions = [];
+    } else if (keep === 'theirs') {
+      const text =
+        regions.length > 0 ? theirSection.text.replace(PROTECTED_PATTERN, '').trim() : theirSection.text;
+      merged.push([text, ...orphanedRegions, ...regions].filter(Boolean).join('\n\n'));
+      orphanedRegions = [];
+    } else {
+      // Protected text outlives its section; it moves to the next one kept
+      orphanedRegions.push(...regions);
+    }
+  }
+
+  if (orphanedRegions.length > 0) {
+    merged.push(orphanedRegions.join('\n\n'));
+  }
+
+  return {
+    body: merged.filter(Boolean).join('\n\n'),
+    conflicts,
+  };
+}
+
+function mergeBasePath(identity) {
+  return path.resolve(process.cwd(), MERGE_BASE_DIR, `${identity.key}.md`);
+}
+
+/**
+ * The generated body a document was last written from, if it was stored
+ */
+async function readMergeBase(identity) {
+  return fs.readFile(mergeBasePath(identity), 'utf8').catch(() => null);
+}
+
+async function writeMergeBase(identity, body) {
+  const filePath = mergeBasePath(identity);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${body.trim()}\n`, 'utf8');
+}
+
+module.exports = {
+  MERGE_BASE_DIR,
+  splitSections,
+  mergeDocument,
+  readMergeBase,
+  writeMergeBase,
+};
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Post-generation fact verifier
+ * Checks references in AI output against the collected source data
+ */
+
+const core = require('@actions/core');
+
+// Identifier-shaped tokens that look like Jira keys but aren't
+const DEFAULT_IGNORED_KEYS = [
+  'UTF-8',
+  'UTF-16',
+  'ISO-8601',
+  'SHA-1',
+  'SHA-256',
+  'RFC-3339',
+  'GPT-4',
+  'WCAG-2',
+];
+
+const METRIC_UNITS =
+  '%|percent|PRs?|pull requests?|issues?|tickets?|files?|lines?|tests?|commits?|comments?|days?|points?';
+
+const PATTERNS = {
+  url: /https?:\/\/[^\s)<>\]"'`]+/g,
+  reference: /(?<![\w/&])#(\d+)\b/g,
+  jiraKey: /\b[A-Z][A-Z0-9]+-\d+\b/g,
+  username: /(?<![\w.`/])@([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))\b/g,
+  date: /\b\d{4}-\d{2}-\d{2}\b/g,
+  metric: new RegExp(`\\b(\\d+(?:\\.\\d+)?)\\s*(?:${METRIC_UNITS})(?![\\w])`, 'gi'),
+};
+
+// Markdown link targets (with one level of parentheses) and bare URLs
+const URL_SPAN_PATTERN = /\]\((?:[^()\s]|\([^()\s]*\))+\)|https?:\/\/[^\s<>()\]]+/g;
+
+/**
+ * Replace a pattern everywhere except inside link targets and URLs
+ */
+function replaceOutsideUrls(text, pattern, replacement) {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(URL_SPAN_PATTERN)) {
+    result += text.slice(last, match.index).replace(pattern, replacement) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + text.slice(last).replace(pattern, replacement);
+}
+
+class FactVerifier {
+  /**
+   * @param {object} options
+   * @param {string} options.mode - 'off' | 'report' | 'flag' | 'strip'
+   * @param {number} options.maxUnsupported - fail above this many unsupported references
+   * @param {string[]} options.ignore - tokens that never need support
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'report';
+    this.maxUnsupported = options.maxUnsupported ?? 5;
+    this.ignore = new Set([...DEFAULT_IGNORED_KEYS, ...(options.ignore || [])]);
+    this.futureDateWindowDays = options.futureDateWindowDays ?? 14;
+  }
+
+  /**
+   * Index everything the generated document may legitimately reference
+   */
+  buildKnownFacts(data, { sourceText = '', metrics = [], docType } = {}) {
+    const numbers = new Set();
+    const jiraKeys = new Set();
+    const usernames = new Set();
+    const urls = new Set();
+    const dates = new Set([new Date().toISOString().split('T')[0]]);
+    const texts = [sourceText];
+
+    const addDate = (value) => {
+      if (value) dates.add(String(value).slice(0, 10));
+    };
+
+    if (data.discussion) {
+      numbers.add(String(data.discussion.number));
+      usernames.add(String(data.discussion.author).toLowerCase());
+      urls.add(data.discussion.url);
+      texts.push(data.discussion.title, data.discussion.body);
+    }
+
+    for (const pr of data.prs || []) {
+      numbers.add(String(pr.number));
+      usernames.add(String(pr.author).toLowerCase());
+      urls.add(pr.url);
+      (pr.jiraKeys || []).forEach((key) => jiraKeys.add(key));
+      addDate(pr.mergedAt);
+      texts.push(pr.title, pr.body);
+    }
+
+    for (const issue of data.issues || []) {
+      numbers.add(String(issue.number));
+      usernames.add(String(issue.author).toLowerCase());
+      (issue.assignees || []).forEach((login) => usernames.add(login.toLowerCase()));
+      urls.add(issue.url);
+      [issue.createdAt, issue.updatedAt, issue.closedAt].forEach(addDate);
+      texts.push(issue.title, issue.body);
+    }
+
+    for (const issue of data.jiraIssues || []) {
+      jiraKeys.add(issue.key);
+      urls.add(issue.url);
+      [issue.created, issue.updated, issue.resolved].forEach(addDate);
+      texts.push(issue.summary, typeof issue.description === 'string' ? issue.description : '');
+    }
+
+    // Release docs are asked to propose a date in the near future
+    if (docType === 'release') {
+      for (let day = 1; day <= this.futureDateWindowDays; day++) {
+        const date = new Date();
+        date.setDate(date.getDate() + day);
+        addDate(date.toISOString());
+      }
+    }
+
+    metrics.forEach((value) => numbers.add(String(value)));
+
+    return {
+      numbers,
+      jiraKeys,
+      usernames,
+      urls: new Set([...urls].filter(Boolean)),
+      dates,
+      corpus: texts.filter(Boolean).join('\n'),
+    };
+  }
+
+  isSupported(type, value, facts) {
+    if (this.ignore.has(value)) {
+      return true;
+    }
+
+    switch (type) {
+      case 'url': {
+        const url = value.replace(/[.,;:!?]+$/, '');
+        return (
+          facts.urls.has(url) ||
+          facts.corpus.includes(url) ||
+          // Links to the repository root and Jira browse pages are derived from source URLs
+          [...facts.urls].some((known) => known.startsWith(`${url}/`))
+        );
+      }
+      case 'reference':
+        return facts.numbers.has(value) || facts.corpus.includes(`#${value}`);
+      case 'jiraKey':
+        return facts.jiraKeys.has(value) || facts.corpus.includes(value);
+      case 'username':
+        return (
+          facts.usernames.has(value.toLowerCase()) ||
+          facts.corpus.toLowerCase().includes(`@${value.toLowerCase()}`)
+        );
+      case 'date':
+        return facts.dates.has(value) || facts.corpus.includes(value);
+      case 'metric':
+        return (
+          facts.numbers.has(value) ||
+          new RegExp(`(^|[^\\d.])${value.replace('.', '\\.')}(?![\\d])`).test(
+            facts.corpus
+          )
+        );
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Find every reference in the content and check it against the facts
+   */
+  verify(content, data, context = {}) {
+    const facts = this.buildKnownFacts(data, context);
+    const findings = [];
+    const seen = new Set();
+
+    for (const [type, pattern] of Object.entries(PATTERNS)) {
+      for (const match of content.matchAll(pattern)) {
+        const value = match[1] || match[0];
+        const key = `${type}:${match[0]}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        findings.push({
+          type,
+          value,
+          text: match[0],
+          supported: this.isSupported(type, value, facts),
+        });
+      }
+    }
+
+    const unsupported = findings.filter((finding) => !finding.supported);
+    return {
+      checked: findings.length,
+      unsupported,
+      passed: unsupported.length <= this.maxUnsupported,
+    };
+  }
+
+  /**
+   * Apply the configured mode to the content: mark or remove unsupported
+   * references. 'report' leaves the content unchanged.
+   */
+  apply(content, report) {
+    if (this.mode !== 'flag' && this.mode !== 'strip') {
+      return content;
+    }
+
+    let result = content;
+    for (const finding of report.unsupported) {
+      const escaped = finding.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const markdownLink = new RegExp(`\\[([^\\]]*)\\]\\(${escaped}\\)`, 'g');
+      const bare =
+        finding.type === 'url'
+          ? new RegExp(`(?<!\\()${escaped}`, 'g')
+          : new RegExp(`(?<![\\w])${escaped}(?![\\w])`, 'g');
+
+      // Keys, numbers and names inside link targets and URLs are part of
+      // the URL; only the text around them is marked
+      const replaceBare = (text, replacement) =>
+        finding.type === 'url'
+          ? text.replace(bare, replacement)
+          : replaceOutsideUrls(text, bare, replacement);
+
+      if (this.mode === 'strip') {
+        // Keep the text of markdown links, replace everything else
+        result = replaceBare(
+          result.replace(markdownLink, '$1'),
+          finding.type === 'url' ? '[unverified link removed]' : '[unverified]'
+        );
+      } else {
+        result = replaceBare(result.replace(markdownLink, '$& ⚠️'), `${finding.text} ⚠️`);
+      }
+    }
+    return result;
+  }
+
+  logReport(docType, report) {
+    core.info(
+      `🔎 Fact check for ${docType}: ${report.checked} references checked, ${report.unsupported.length} unsupported`
+    );
+    report.unsupported.forEach((finding) => {
+      core.warning(`Unsupported ${finding.type} in ${docType}: ${finding.text}`);
+    });
+    if (!report.passed) {
+      core.error(
+        `🚫 ${docType} has ${report.unsupported.length} unsupported references (limit ${this.maxUnsupported})`
+      );
+    }
+  }
+}
+
+module.exports = { FactVerifier };
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Record/replay fixtures for GitHub, Jira and model traffic
+ * Captures a run into a JSON bundle and serves it back deterministically
+ */
+
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const { hashKey } = require('./cache');
+
+const DEFAULT_BUNDLE_PATH = '.chroniclr/fixtures/bundle.json';
+
+// Run environment restored on replay so URLs and repo names match the recording
+const CONTEXT_ENV_VARS = ['GITHUB_REPOSITORY', 'JIRA_BASE_URL', 'JIRA_PROJECT'];
+
+// Statuses that must be constructed without a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+class FixtureMissError extends Error {
+  constructor(id) {
+    super(`No recorded fixture for ${id}`);
+    this.name = 'FixtureMissError';
+    this.id = id;
+  }
+}
+
+function loadFixtureBundle(bundlePath) {
+  const resolved = path.resolve(process.cwd(), bundlePath);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read fixture bundle ${resolved}: ${error.message}`);
+  }
+}
+
+class FixtureStore {
+  /**
+   * @param {object} options
+   * @param {string} options.mode - 'off' | 'record' | 'replay' (CHRONICLR_FIXTURES)
+   * @param {string} options.path - bundle file (CHRONICLR_FIXTURE_PATH)
+   */
+  constructor(options = {}) {
+    this.mode = process.env.CHRONICLR_FIXTURES || options.mode || 'off';
+    this.path = path.resolve(
+      process.cwd(),
+      process.env.CHRONICLR_FIXTURE_PATH || options.path || DEFAULT_BUNDLE_PATH
+    );
+    this.recording = this.mode === 'record';
+    this.replaying = this.mode === 'replay';
+    this.misses = [];
+
+    if (!['off', 'record', 'replay'].includes(this.mode)) {
+      throw new Error(
+        `Unknown fixture mode "${this.mode}" (expected record or replay)`
+      );
+    }
+
+    if (this.replaying) {
+      this.bundle = loadFixtureBundle(this.path);
+      this.restoreContext();
+    } else {
+      this.bundle = {
+        version: 1,
+        recordedAt: null,
+        context: {},
+        options: null,
+        collected: null,
+        entries: {},
+      };
+    }
+  }
+
+  get active() {
+    return this.recording || this.replaying;
+  }
+
+  restoreContext() {
+    for (const [name, value] of Object.entries(this.bundle.context || {})) {
+      if (value !== undefined && value !== null) {
+        process.env[name] = value;
+      }
+    }
+    core.info(
+      `📼 Replaying fixtures from ${path.relative(process.cwd(), this.path)} (recorded ${this.bundle.recordedAt})`
+    );
+  }
+
+  entryId(kind, key) {
+    return `${kind}:${typeof key === 'string' ? key : hashKey(key)}`;
+  }
+
+  /**
+   * Run a live call, or serve its recorded result. Errors are recorded too,
+   * so a replay fails in the same places the recorded run did.
+   *
+   * @param {string} kind - 'github' | 'jira' | 'completion'
+   * @param {string|object} key - stable identifier for the call
+   * @param {Function} call - performs the live call
+   * @param {object} codec - converts results to and from JSON
+   */
+  async replayable(kind, key, call, codec = {}) {
+    if (!this.active) {
+      return call();
+    }
+
+    const serialize = codec.serialize || ((value) => value);
+    const deserialize = codec.deserialize || ((value) => value);
+    const id = this.entryId(kind, key);
+
+    if (this.replaying) {
+      const entry = this.bundle.entries[id];
+      if (!entry) {
+        this.misses.push(id);
+        throw new FixtureMissError(id);
+      }
+      if (entry.error) {
+        const error = new Error(entry.error.message);
+        error.status = entry.error.status;
+        throw error;
+      }
+      return deserialize(entry.value);
+    }
+
+    try {
+      const value = await serialize(await call());
+      this.bundle.entries[id] = { value };
+      return deserialize(value);
+    } catch (error) {
+      this.bundle.entries[id] = {
+        error: { message: error.message, status: error.status },
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Octokit responses keep only status and data
+   */
+  replayOctokit(key, call) {
+    return this.replayable('github', key, call, {
+      serialize: ({ status, data }) => ({ status, data }),
+    });
+  }
+
+  /**
+   * fetch() responses are stored as status and body text, and rebuilt as
+   * Response objects so callers can use response.ok/json() unchanged
+   */
+  replayFetch(kind, key, call) {
+    return this.replayable(kind, key, call, {
+      serialize: async (response) => ({
+        status: response.status,
+        statusText: response.statusText,
+        contentType: response.headers.get('content-type'),
+        body: await response.text(),
+      }),
+      deserialize: ({ status, statusText, contentType, body }) =>
+        new Response(NULL_BODY_STATUSES.includes(status) ? null : body, {
+          status,
+          statusText,
+          headers: contentType ? { 'content-type': contentType } : {},
+        }),
+    });
+  }
+
+  /**
+   * Store the run options and collected data snapshot alongside the traffic
+   */
+  recordRun(options, collected) {
+    if (!this.recording) {
+      return;
+    }
+    const { dryRun, outputDir, formats, publish, ...runOptions } = options;
+    this.bundle.options = runOptions;
+    this.bundle.collected = collected;
+  }
+
+  async save() {
+    if (!this.recording) {
+      return;
+    }
+
+    this.bundle.recordedAt = new Date().toISOString();
+    this.bundle.context = Object.fromEntries(
+      CONTEXT_ENV_VARS.map((name) => [name, process.env[name] || null])
+    );
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.writeFile(
+      this.path,
+      JSON.stringify(this.bundle, null, 2),
+      'utf8'
+    );
+    core.info(
+      `📼 Recorded ${Object.keys(this.bundle.entries).length} fixture(s) to ${path.relative(process.cwd(), this.path)}`
+    );
+  }
+
+  logSummary() {
+    if (this.replaying && this.misses.length > 0) {
+      core.warning(
+        `📼 ${this.misses.length} call(s) had no recorded fixture: ${this.misses.join(', ')}`
+      );
+    }
+  }
+}
+
+let sharedFixtures = null;
+
+function configureFixtures(options = {}) {
+  sharedFixtures = new FixtureStore(options);
+  return sharedFixtures;
+}
+
+function getFixtures() {
+  if (!sharedFixtures) {
+    sharedFixtures = new FixtureStore();
+  }
+  return sharedFixtures;
+}
+
+module.exports = {
+  FixtureStore,
+  FixtureMissError,
+  configureFixtures,
+  getFixtures,
+  loadFixtureBundle,
+};
@@ -1,17 +1,133 @@
 #!/usr/bin/env node
 
 /**
- * Simplified GitHub Issues Client
- * Handles basic issue data fetching for documentation generation
+ * GitHub Issues Client
+ * Fetches issues by number or by search query (text, labels, milestone,
+ * state and an updated-date window), with their comments, for
+ * documentation generation
  */
 
 const core = require('@actions/core');
 const github = require('@actions/github');
+const { getRequestQueue, getGitHubApiHost } = require('./request-queue');
+const { getFixtures } = require('./fixtures');
+const { getCache } = require('./cache');
+
+const PAGE_SIZE = 100;
+const DEFAULT_SEARCH_LIMIT = 100;
+
+/**
+ * A date for a search qualifier: YYYY-MM-DD as given, or "14d" for 14
+ * days ago
+ */
+function resolveDate(value) {
+  if (!value) return null;
+  const relative = String(value).match(/^(\d+)d$/);
+  if (relative) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() - Number(relative[1]));
+    return date.toISOString().split('T')[0];
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid date "${value}" (use YYYY-MM-DD or a number of days, e.g. 14d)`);
+  }
+  return value;
+}
+
+// Qualifier values with spaces or colons are quoted: label:"needs triage"
+function quote(value) {
+  return /[\s:]/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * The issue query for a set of filters, or null when none is set
+ *
+ * @param {object} filters - { search, labels, milestone, state, since, until }
+ */
+function toIssueQuery({ search, labels = [], milestone, state, since, until } = {}) {
+  const query = {
+    ...(search && { search }),
+    ...(labels.length > 0 && { labels }),
+    ...(milestone && { milestone }),
+    ...(state && state !== 'all' && { state }),
+    ...(since && { since }),
+    ...(until && { until }),
+  };
+  return Object.keys(query).length > 0 ? query : null;
+}
+
+/**
+ * A short description of an issue query, e.g. `label:bug since:14d`. Dates
+ * are described as given, so "14d" names the same query on every run.
+ */
+function describeIssueQuery(query) {
+  return [
+    query.search,
+    ...(query.labels || []).map((label) => `label:${quote(label)}`),
+    query.milestone && `milestone:${quote(query.milestone)}`,
+    query.state && `is:${query.state}`,
+    query.since && `since:${query.since}`,
+    query.until && `until:${query.until}`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Issue data as used by prompts and templates, from a REST issue or search result
+ */
+function toIssueData(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    author: issue.user.login,
+    state: issue.state,
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at,
+    closedAt: issue.closed_at,
+    url: issue.html_url,
+    labels: issue.labels.map((label) => ({
+      name: label.name,
+      color: label.color,
+      description: label.description,
+    })),
+    assignees: (issue.assignees || []).map((assignee) => assignee.login),
+    milestone: issue.milestone
+      ? {
+          title: issue.milestone.title,
+          description: issue.milestone.description,
+          state: issue.milestone.state,
+          dueOn: issue.milestone.due_on,
+        }
+      : null,
+    commentsCount: issue.comments,
+  };
+}
 
 class IssuesClient {
   constructor() {
-    this.github = github.getOctokit(process.env.GITHUB_TOKEN);
+    // Replayed runs never reach the API, so they need no real token
+    this.github = github.getOctokit(
+      process.env.GITHUB_TOKEN ||
+        (getFixtures().replaying ? 'fixture-replay' : undefined)
+    );
     this.context = github.context;
+    this.apiHost = getGitHubApiHost();
+  }
+
+  /**
+   * Run an Octokit call through the shared request queue, or serve it from
+   * the fixture bundle when recording/replaying
+   */
+  request(label, call) {
+    return getFixtures().replayOctokit(label, () =>
+      getRequestQueue().schedule(this.apiHost, call, { label })
+    );
+  }
+
+  get repoName() {
+    return `${this.context.repo.owner}/${this.context.repo.repo}`;
   }
 
   /**
@@ -28,11 +144,15 @@ class IssuesClient {
       try {
         core.info(`Fetching Issue #${issueNumber}`);
 
-        const { data: issue } = await this.github.rest.issues.get({
-          owner: this.context.repo.owner,
-          repo: this.context.repo.repo,
-          issue_number: parseInt(issueNumber),
-        });
+        const { data: issue } = await this.request(
+          `Issue #${issueNumber}`,
+          () =>
+            this.github.rest.issues.get({
+              owner: this.context.repo.owner,
+              repo: this.context.repo.repo,
+              issue_number: parseInt(issueNumber),
+            })
+        );
 
         // Skip pull requests (GitHub API returns PRs as issues)
         if (issue.pull_request) {
@@ -40,32 +160,7 @@ class IssuesClient {
           continue;
         }
 
-        issues.push({
-          number: issue.number,
-          title: issue.title,
-          body: issue.body || '',
-          author: issue.user.login,
-          state: issue.state,
-          createdAt: issue.created_at,
-          updatedAt: issue.updated_at,
-          closedAt: issue.closed_at,
-          url: issue.html_url,
-          labels: issue.labels.map((label) => ({
-            name: label.name,
-            color: label.color,
-            description: label.description,
-          })),
-          assignees: issue.assignees.map((assignee) => assignee.login),
-          milestone: issue.milestone
-            ? {
-                title: issue.milestone.title,
-                description: issue.milestone.description,
-                state: issue.milestone.state,
-                dueOn: issue.milestone.due_on,
-              }
-            : null,
-          commentsCount: issue.comments,
-        });
+        issues.push(await this.withComments(toIssueData(issue)));
 
         core.info(`✅ Fetched Issue #${issueNumber}: "${issue.title}"`);
       } catch (error) {
@@ -89,6 +184,147 @@ class IssuesClient {
     return issues;
   }
 
+  /**
+   * GitHub search query for an issue query: this repository's issues plus
+   * the free-text search and a qualifier for each filter
+   *
+   * @param {object} query - see searchIssues
+   */
+  buildSearchQuery({ search, labels = [], milestone, state, since, until } = {}) {
+    const parts = [`repo:${this.repoName}`, 'is:issue'];
+    if (search) parts.push(search);
+    labels.forEach((label) => parts.push(`label:${quote(label)}`));
+    if (milestone) parts.push(`milestone:${quote(milestone)}`);
+    if (state === 'open' || state === 'closed') parts.push(`is:${state}`);
+
+    const from = resolveDate(since);
+    const to = resolveDate(until);
+    if (from && to) parts.push(`updated:${from}..${to}`);
+    else if (from) parts.push(`updated:>=${from}`);
+    else if (to) parts.push(`updated:<=${to}`);
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Fetch the issues matching a query, most recently updated first
+   *
+   * @param {object} query
+   * @param {string} query.search - GitHub search syntax, e.g. "crash in:title"
+   * @param {string[]} query.labels - issues must carry every label
+   * @param {string} query.milestone - milestone title
+   * @param {string} query.state - open, closed or all (default)
+   * @param {string} query.since - updated on or after (YYYY-MM-DD or "14d")
+   * @param {string} query.until - updated on or before (YYYY-MM-DD or "14d")
+   * @param {number} query.limit - most issues to fetch
+   */
+  async searchIssues(query = {}) {
+    const q = this.buildSearchQuery(query);
+    const limit = query.limit || DEFAULT_SEARCH_LIMIT;
+    const issues = [];
+    let total = 0;
+
+    try {
+      core.info(`Searching issues: ${q}`);
+      for (let page = 1; issues.length < limit; page++) {
+        const { data } = await this.request(`Issue search "${q}" page ${page}`, () =>
+          this.github.rest.search.issuesAndPullRequests({
+            q,
+            sort: 'updated',
+            order: 'desc',
+            per_page: PAGE_SIZE,
+            page,
+          })
+        );
+        total = data.total_count;
+        issues.push(...data.items.filter((issue) => !issue.pull_request).map(toIssueData));
+        if (data.items.length < PAGE_SIZE) break;
+      }
+    } catch (error) {
+      if (error.status === 422) {
+        core.error(`❌ Invalid issue search "${q}": ${error.message}`);
+      } else if (error.status === 403) {
+        core.error(`❌ Issue search denied or rate limited: ${error.message}`);
+      } else {
+        core.error(`❌ Failed to search issues: ${error.message}`);
+      }
+      return [];
+    }
+
+    if (total > limit) {
+      core.warning(`⚠️ ${total} issues match "${q}"; using the ${limit} most recently updated`);
+    }
+
+    const matched = [];
+    for (const issue of issues.slice(0, limit)) {
+      matched.push(await this.withComments(issue));
+    }
+    core.info(`✅ Found ${matched.length} issue(s) matching "${q}"`);
+    return matched;
+  }
+
+  /**
+   * Issues by number and by query, each issue once, in the order found
+   *
+   * @param {string[]} issueNumbers
+   * @param {object|null} query - see searchIssues
+   */
+  async collectIssues(issueNumbers = [], query = null) {
+    const issues = await this.fetchIssues(issueNumbers);
+    if (query) {
+      const known = new Set(issues.map((issue) => issue.number));
+      issues.push(...(await this.searchIssues(query)).filter((issue) => !known.has(issue.number)));
+    }
+    return issues;
+  }
+
+  /**
+   * The issue with its comments. Comments are cached by the issue's
+   * updated_at, which changes whenever a comment is added or edited.
+   */
+  async withComments(issue) {
+    if (!issue.commentsCount) {
+      return { ...issue, comments: [] };
+    }
+
+    const cacheKey = { repo: this.repoName, number: issue.number, updatedAt: issue.updatedAt };
+    const cached = await getCache().get('issue-comments', cacheKey);
+    if (cached) {
+      return { ...issue, comments: cached };
+    }
+
+    try {
+      const comments = [];
+      for (let page = 1; ; page++) {
+        const { data } = await this.request(
+          `Issue #${issue.number} comments${page > 1 ? ` page ${page}` : ''}`,
+          () =>
+            this.github.rest.issues.listComments({
+              owner: this.context.repo.owner,
+              repo: this.context.repo.repo,
+              issue_number: issue.number,
+              per_page: PAGE_SIZE,
+              page,
+            })
+        );
+        comments.push(
+          ...data.map((comment) => ({
+            author: comment.user?.login || 'ghost',
+            body: comment.body || '',
+            createdAt: comment.created_at,
+            url: comment.html_url,
+          }))
+        );
+        if (data.length < PAGE_SIZE) break;
+      }
+      await getCache().set('issue-comments', cacheKey, comments);
+      return { ...issue, comments };
+    } catch (error) {
+      core.warning(`Failed to fetch comments for Issue #${issue.number}: ${error.message}`);
+      return { ...issue, comments: [] };
+    }
+  }
+
   /**
    * Generate issues summary data for templates
    */
@@ -101,6 +337,9 @@ class IssuesClient {
         authors: [],
         labels: [],
         milestones: [],
+        issuesByLabel: {},
+        issuesByMilestone: {},
+        issues: [],
       };
     }
 
@@ -160,4 +399,4 @@ class IssuesClient {
   }
 }
 
-module.exports = { IssuesClient };
+module.exports = { IssuesClient, toIssueQuery, describeIssueQuery, resolveDate };
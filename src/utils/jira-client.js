@@ -6,6 +6,9 @@
  */
 
 const core = require('@actions/core');
+const { getRequestQueue } = require('./request-queue');
+const { getCache } = require('./cache');
+const { getFixtures } = require('./fixtures');
 
 class JiraClient {
   constructor() {
@@ -14,7 +17,13 @@ class JiraClient {
     this.apiToken = process.env.JIRA_API_TOKEN;
     this.project = process.env.JIRA_PROJECT;
 
-    // Validate required environment variables
+    // Validate required environment variables. Replayed runs only need the
+    // base URL and project, which the fixture bundle restores.
+    if (getFixtures().replaying) {
+      this.enabled = Boolean(this.baseUrl && this.project);
+      this.authHeader = null;
+      return;
+    }
     if (!this.baseUrl || !this.userEmail || !this.apiToken || !this.project) {
       this.enabled = false;
       return;
@@ -31,6 +40,25 @@ class JiraClient {
     return `Basic ${auth}`;
   }
 
+  /**
+   * GET a Jira REST path through the request queue, or serve it from the
+   * fixture bundle when recording/replaying
+   */
+  get(apiPath, label = `Jira ${apiPath}`) {
+    return getFixtures().replayFetch('jira', apiPath, () =>
+      getRequestQueue().fetch(
+        `${this.baseUrl}${apiPath}`,
+        {
+          headers: {
+            Authorization: this.authHeader,
+            Accept: 'application/json',
+          },
+        },
+        { label }
+      )
+    );
+  }
+
   /**
    * Fetch Jira issues by keys
    */
@@ -45,15 +73,16 @@ class JiraClient {
       try {
         core.info(`Fetching Jira issue: ${jiraKey}`);
 
-        const response = await fetch(
-          `${this.baseUrl}/rest/api/3/issue/${jiraKey}`,
-          {
-            headers: {
-              Authorization: this.authHeader,
-              Accept: 'application/json',
-              'Content-Type': 'application/json',
-            },
-          }
+        const cached = await this.getCachedIssue(jiraKey);
+        if (cached) {
+          issues.push(cached);
+          core.info(`✅ Jira issue ${jiraKey} unchanged since ${cached.updated} (cached)`);
+          continue;
+        }
+
+        const response = await this.get(
+          `/rest/api/3/issue/${jiraKey}`,
+          `Jira ${jiraKey}`
         );
 
         if (!response.ok) {
@@ -65,7 +94,7 @@ class JiraClient {
 
         const issue = await response.json();
 
-        issues.push({
+        const issueData = {
           key: issue.key,
           summary: issue.fields.summary,
           description: issue.fields.description || '',
@@ -82,7 +111,14 @@ class JiraClient {
           labels: issue.fields.labels || [],
           components: issue.fields.components?.map((comp) => comp.name) || [],
           fixVersions: issue.fields.fixVersions?.map((ver) => ver.name) || [],
-        });
+        };
+
+        issues.push(issueData);
+        await getCache().set(
+          'jira-issues',
+          { baseUrl: this.baseUrl, key: issue.key, updated: issue.fields.updated },
+          issueData
+        );
 
         core.info(
           `✅ Fetched Jira issue: ${jiraKey} - "${issue.fields.summary}"`
@@ -164,6 +200,29 @@ ${failureCount === jiraKeys.length ? '• No issues found - create test data wit
     return issues;
   }
 
+  /**
+   * Look up a cached issue by its current `updated` timestamp. Costs one
+   * lightweight request; returns null on a miss or when caching is off.
+   */
+  async getCachedIssue(jiraKey) {
+    const cache = getCache();
+    if (!cache.enabled || cache.refresh) {
+      return null;
+    }
+
+    const response = await this.get(
+      `/rest/api/3/issue/${jiraKey}?fields=updated`,
+      `Jira ${jiraKey} (updated)`
+    );
+    if (!response.ok) {
+      return null;
+    }
+
+    const { key, fields } = await response.json();
+    const cacheKey = { baseUrl: this.baseUrl, key, updated: fields.updated };
+    return (await cache.get('jira-issues', cacheKey)) || null;
+  }
+
   /**
    * Get current sprint data for the project
    */
@@ -176,14 +235,8 @@ ${failureCount === jiraKeys.length ? '• No issues found - create test data wit
       core.info(`Fetching current sprint for project: ${this.project}`);
 
       // First, get the board for the project
-      const boardResponse = await fetch(
-        `${this.baseUrl}/rest/agile/1.0/board?projectKeyOrId=${this.project}`,
-        {
-          headers: {
-            Authorization: this.authHeader,
-            Accept: 'application/json',
-          },
-        }
+      const boardResponse = await this.get(
+        `/rest/agile/1.0/board?projectKeyOrId=${this.project}`
       );
 
       if (!boardResponse.ok) {
@@ -200,14 +253,8 @@ ${failureCount === jiraKeys.length ? '• No issues found - create test data wit
       const boardId = boardData.values[0].id;
 
       // Get active sprints for the board
-      const sprintResponse = await fetch(
-        `${this.baseUrl}/rest/agile/1.0/board/${boardId}/sprint?state=active`,
-        {
-          headers: {
-            Authorization: this.authHeader,
-            Accept: 'application/json',
-          },
-        }
+      const sprintResponse = await this.get(
+        `/rest/agile/1.0/board/${boardId}/sprint?state=active`
       );
 
       if (!sprintResponse.ok) {
@@ -306,14 +353,8 @@ ${failureCount === jiraKeys.length ? '• No issues found - create test data wit
     try {
       core.info(`Fetching all issues for sprint ${sprintId}`);
       
-      const response = await fetch(
-        `${this.baseUrl}/rest/agile/1.0/board/${boardId}/sprint/${sprintId}/issue`,
-        {
-          headers: {
-            Authorization: this.authHeader,
-            Accept: 'application/json',
-          },
-        }
+      const response = await this.get(
+        `/rest/agile/1.0/board/${boardId}/sprint/${sprintId}/issue`
       );
 
       if (!response.ok) {
@@ -473,7 +514,7 @@ ${failureCount === jiraKeys.length ? '• No issues found - create test data wit
    * Create ticket status table
    */
   createStatusTable(issuesByStatus, totalIssues) {
-    if (totalIssues === 0) return 'No issues found';
+    if (totalIssues === 0) return '';
 
     const statusRows = [];
     Object.entries(issuesByStatus).forEach(([status, issues]) => {
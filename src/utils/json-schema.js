@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal JSON Schema validator
+ * Supports the subset of draft-07 used by Chroniclr's schemas
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema. Returns a list of
+ * path-specific error messages (empty when valid).
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`
+    );
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const childPath = `${path}.${key}`;
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateSchema(propertyValue, schema.additionalProperties, childPath)
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
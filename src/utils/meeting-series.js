@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Meeting series
+ * Links meeting notes to the previous meeting of the same series and
+ * carries over its action items: items whose issue was closed or that the
+ * new discussion reports as done are listed as completed, the rest as
+ * carried over.
+ */
+
+const path = require('path');
+const { listDocuments, parseSourceDocument } = require('./source-documents');
+const { extractActionItems } = require('../notifiers/digest');
+const { actionItemId } = require('./action-item-issues');
+
+// Items open in the previous notes, including ones it carried over itself
+const OPEN_ITEM_SECTIONS = /^(action items?|carried over)$/i;
+
+const DATE_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}\b/g,
+  /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g,
+  /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s+\d{4})?\b/gi,
+];
+const COMPLETION_PATTERN =
+  /\b(?:done|complete|completed|finished|shipped|merged|resolved|closed|fixed|delivered|landed)\b|^\s*[-*]\s*\[x\]/i;
+const NEGATION_PATTERN = /\b(?:not|never|isn't|wasn't|hasn't|haven't|yet to)\b/i;
+const ISSUE_REFERENCE_PATTERN = /(?:^|[^\w&/])#(\d+)\b/g;
+const TRACKING_SUFFIX_PATTERN = /\s*\(#\d+\)$/;
+
+const TASK_STOP_WORDS = new Set(
+  'the and for with from into that this our all will need needs make sure about'.split(' ')
+);
+
+function slug(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * A meeting title without its dates and numbers: "Weekly Sync 2025-01-13"
+ * and "Weekly Sync #12" are both "weekly-sync"
+ */
+function titleSeries(title) {
+  let text = title || '';
+  DATE_PATTERNS.forEach((pattern) => {
+    text = text.replace(pattern, ' ');
+  });
+  return slug(text.replace(/#?\b\d+\b/g, ' ')) || null;
+}
+
+function matchesSeries(entry, meeting) {
+  if (!entry.titlePattern && !entry.category) return false;
+  if (entry.titlePattern && !new RegExp(entry.titlePattern, 'i').test(meeting.title || '')) {
+    return false;
+  }
+  if (entry.category && entry.category.toLowerCase() !== (meeting.category || '').toLowerCase()) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * The series a meeting belongs to: the series given with the discussion,
+ * the first configured series (meetings.series) whose title pattern and
+ * category match, else the discussion category and title without dates
+ *
+ * @param {object} meeting - discussion { title, category, series }
+ * @param {Array<{key, titlePattern, category}>} series - configured series
+ * @returns {string|null}
+ */
+function meetingSeriesKey(meeting, series = []) {
+  if (!meeting) return null;
+  if (meeting.series) return slug(meeting.series);
+  const configured = series.find((entry) => matchesSeries(entry, meeting));
+  if (configured) return configured.key;
+  const title = titleSeries(meeting.title);
+  if (!title) return null;
+  return meeting.category ? `${slug(meeting.category)}/${title}` : title;
+}
+
+/**
+ * The title the meeting-notes template gives a document
+ */
+function notesTitle(body) {
+  const heading = body.match(/^#\s+(.+)$/m);
+  return heading ? heading[1].replace(/^Meeting Notes:\s*/i, '').trim() : null;
+}
+
+/**
+ * The most recent other meeting notes of the series. Notes written before
+ * series were recorded match on their title alone.
+ *
+ * @param {string} baseDir - absolute output directory
+ * @param {object} meeting - discussion of the new notes
+ * @param {object} options
+ * @param {Array} options.series - configured series (meetings.series)
+ * @param {string} options.currentPath - the new notes' file, never returned
+ * @returns {Promise<object|null>} { path, title, folder, marker, body }
+ */
+async function findPreviousMeeting(baseDir, meeting, { series = [], currentPath = null } = {}) {
+  const seriesKey = meetingSeriesKey(meeting, series);
+  if (!seriesKey) return null;
+  const legacyKey = meetingSeriesKey({ title: meeting.title }, series);
+
+  // listDocuments returns the newest folder first
+  for (const document of await listDocuments(baseDir)) {
+    if (document.filePath === currentPath) continue;
+    const { marker, body } = parseSourceDocument(document.content);
+    const docType = marker ? marker.docType : document.fileName.startsWith('meeting-notes-') && 'meeting-notes';
+    if (docType !== 'meeting-notes') continue;
+
+    const title = notesTitle(body);
+    const sameSeries = marker?.series
+      ? marker.series === seriesKey
+      : meetingSeriesKey({ title }, series) === legacyKey;
+    if (sameSeries) {
+      return {
+        path: path.relative(process.cwd(), document.filePath).split(path.sep).join('/'),
+        title,
+        folder: document.folder,
+        marker,
+        body,
+      };
+    }
+  }
+  return null;
+}
+
+function taskWords(task) {
+  return [
+    ...new Set(
+      (task.toLowerCase().replace(TRACKING_SUFFIX_PATTERN, '').match(/[a-z0-9][a-z0-9-]{2,}/g) || []).filter(
+        (word) => !TASK_STOP_WORDS.has(word)
+      )
+    ),
+  ];
+}
+
+/**
+ * The line of the discussion reporting the task as done, if any: a checked
+ * box or a completion word, no negation, and most of the task's words
+ */
+function completionMention(task, text) {
+  const words = taskWords(task);
+  if (words.length === 0) return null;
+  const needed = Math.max(Math.min(2, words.length), Math.ceil(words.length * 0.6));
+
+  const lines = (text || '').split(/\n|(?<=[.!?])\s+/);
+  return (
+    lines.find((line) => {
+      if (!COMPLETION_PATTERN.test(line) || NEGATION_PATTERN.test(line)) return false;
+      const lower = line.toLowerCase();
+      return words.filter((word) => lower.includes(word)).length >= needed;
+    }) || null
+  );
+}
+
+function issueReferences(task) {
+  return [...task.matchAll(ISSUE_REFERENCE_PATTERN)].map((match) => Number(match[1]));
+}
+
+/**
+ * Sort the previous meeting's open action items into completed and carried
+ * over. An item is completed when its action item issue (or an issue it
+ * references) is closed, or when the discussion reports it done.
+ *
+ * @param {Array} items - { task, assignee, due } from the previous notes
+ * @param {object} previous - the previous notes, from findPreviousMeeting
+ * @param {string} discussionText - body of the new discussion
+ * @param {object|null} tracker - connected ActionItemIssues, for issue state
+ */
+async function resolveActionItems(items, previous, discussionText, tracker = null) {
+  const issues = tracker ? await tracker.existingIssues() : new Map();
+  const completed = [];
+  const carried = [];
+
+  for (const item of items) {
+    const task = item.task.replace(TRACKING_SUFFIX_PATTERN, '');
+    const linked = [];
+    if (previous.marker?.key) {
+      const issue = issues.get(actionItemId({ key: previous.marker.key }, item.task));
+      if (issue) linked.push(issue);
+    }
+    if (tracker) {
+      for (const number of issueReferences(item.task)) {
+        if (linked.some((issue) => issue.number === number)) continue;
+        const issue = await tracker.getIssue(number);
+        if (issue) linked.push(issue);
+      }
+    }
+
+    const closed = linked.find((issue) => issue.state === 'closed');
+    const mention = closed ? null : completionMention(task, discussionText);
+    const resolved = { ...item, task, issue: closed || linked[0] || null };
+    if (closed) {
+      completed.push({
+        ...resolved,
+        resolution:
+          closed.state_reason === 'not_planned'
+            ? `closed as not planned in #${closed.number}`
+            : `closed in #${closed.number}`,
+      });
+    } else if (mention) {
+      completed.push({ ...resolved, resolution: 'reported done in the discussion' });
+    } else {
+      carried.push(resolved);
+    }
+  }
+
+  return { completed, carried };
+}
+
+function tableCell(text) {
+  return String(text || 'TBD').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+/**
+ * "Completed Since Last Meeting" and "Carried Over" sections; empty when
+ * the previous meeting left nothing open
+ */
+function renderCarryOver(previous, { completed, carried }) {
+  const link = `[${previous.title || 'previous meeting notes'}](${previous.path})`;
+  const sections = [];
+
+  if (completed.length > 0) {
+    sections.push(
+      [
+        '## Completed Since Last Meeting',
+        '',
+        `From ${link}:`,
+        '',
+        ...completed.map(
+          (item) => `- ${item.task}${item.assignee ? ` (${item.assignee})` : ''}: ${item.resolution}`
+        ),
+      ].join('\n')
+    );
+  }
+
+  if (carried.length > 0) {
+    sections.push(
+      [
+        '## Carried Over',
+        '',
+        `Still open from ${link}:`,
+        '',
+        '| Task | Assignee | Due Date | Status |',
+        '| ---- | -------- | -------- | ------ |',
+        ...carried.map(
+          (item) =>
+            `| ${tableCell(`${item.task}${item.issue ? ` (#${item.issue.number})` : ''}`)} | ${tableCell(
+              item.assignee
+            )} | ${tableCell(item.due)} | Carried over |`
+        ),
+      ].join('\n')
+    );
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Add carry-over sections ahead of the notes' Action Items (or Next Steps)
+ * section, else at the end of the notes
+ */
+function insertCarryOver(content, sections) {
+  if (!sections) return content;
+  const anchor = content.search(/^## (?:Action Items?|Next Steps)\b/im);
+  if (anchor !== -1) {
+    return `${content.slice(0, anchor)}${sections}\n\n${content.slice(anchor)}`;
+  }
+  return `${content.trimEnd()}\n\n${sections}\n`;
+}
+
+/**
+ * Open action items of the previous notes
+ */
+function previousActionItems(previous) {
+  return extractActionItems(previous.body, OPEN_ITEM_SECTIONS);
+}
+
+module.exports = {
+  meetingSeriesKey,
+  findPreviousMeeting,
+  previousActionItems,
+  resolveActionItems,
+  completionMention,
+  renderCarryOver,
+  insertCarryOver,
+};
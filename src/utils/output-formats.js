@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+
+/**
+ * Document output formats
+ * Renders generated markdown as standalone HTML or Confluence storage-format
+ * XHTML, and builds the JSON sidecar of filled template variables
+ *
+ * The markdown reader covers what Chroniclr templates and models produce:
+ * headings, paragraphs, lists and task lists, pipe tables, blockquotes,
+ * fenced code, rules, and inline emphasis, code and links.
+ */
+
+const OUTPUT_FORMATS = {
+  markdown: { extension: '.md' },
+  html: { extension: '.html' },
+  confluence: { extension: '.confluence.xml' },
+  json: { extension: '.json' },
+};
+
+const DEFAULT_FORMATS = ['markdown'];
+
+const STYLESHEET = `
+body { margin: 0; background: #f6f8fa; color: #1f2328; font: 16px/1.6 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }
+main { max-width: 900px; margin: 2rem auto; padding: 2rem 3rem; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; }
+h1, h2 { padding-bottom: .3em; border-bottom: 1px solid #d8dee4; }
+a { color: #0969da; }
+code { padding: .2em .4em; background: #eff1f3; border-radius: 4px; font-size: 85%; }
+pre { padding: 1rem; overflow: auto; background: #f6f8fa; border-radius: 6px; }
+pre code { padding: 0; background: none; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { padding: .4rem .8rem; border: 1px solid #d0d7de; }
+th { background: #f6f8fa; }
+tr:nth-child(even) td { background: #fafbfc; }
+blockquote { margin: 0; padding: 0 1rem; color: #59636e; border-left: .25em solid #d0d7de; }
+hr { border: 0; border-top: 1px solid #d0d7de; }
+li.task { list-style: none; }
+`.trim();
+
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[([ xX])\]\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const COMMENT_PATTERN = /^\s*<!--[\s\S]*?-->\s*$/;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isTableRow(line) {
+  return /^\s*\|.*\|\s*$/.test(line);
+}
+
+function splitRow(line) {
+  const cells = [];
+  let current = '';
+  const text = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && text[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (text[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function startsBlock(line, nextLine) {
+  return (
+    FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    LIST_PATTERN.test(line) ||
+    /^\s*>/.test(line) ||
+    (isTableRow(line) && TABLE_SEPARATOR_PATTERN.test(nextLine || ''))
+  );
+}
+
+/**
+ * Group list lines into nested lists by indentation
+ */
+function parseList(items, baseIndent) {
+  const list = { type: 'list', ordered: /^\d/.test(items[0].marker), items: [] };
+  let index = 0;
+  while (index < items.length) {
+    const item = items[index];
+    const children = [];
+    index++;
+    while (index < items.length && items[index].indent > baseIndent) {
+      children.push(items[index]);
+      index++;
+    }
+    const task = item.text.match(TASK_PATTERN);
+    list.items.push({
+      text: task ? task[2] : item.text,
+      checked: task ? task[1] !== ' ' : null,
+      children: children.length > 0 ? [parseList(children, children[0].indent)] : [],
+    });
+  }
+  return list;
+}
+
+/**
+ * Parse markdown into a list of block nodes
+ */
+function parseMarkdown(markdown) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim() || COMMENT_PATTERN.test(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^\\s*${fence[1]}\\s*$`).test(lines[i])) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[2], text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (isTableRow(line) && TABLE_SEPARATOR_PATTERN.test(lines[i + 1] || '')) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map((cell) => {
+        if (/^:-+:$/.test(cell)) return 'center';
+        if (/-+:$/.test(cell)) return 'right';
+        if (/^:-+/.test(cell)) return 'left';
+        return null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && isTableRow(lines[i])) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, column) => cells[column] ?? ''));
+        i++;
+      }
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    if (LIST_PATTERN.test(line)) {
+      const items = [];
+      while (i < lines.length) {
+        const match = lines[i].match(LIST_PATTERN);
+        if (match) {
+          items.push({ indent: match[1].length, marker: match[2], text: match[3] });
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) {
+          // Lazy continuation of the previous item
+          items[items.length - 1].text += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push(parseList(items, items[0].indent));
+      continue;
+    }
+
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+}
+
+// Link targets may contain one level of balanced parentheses:
+// [x](https://en.wikipedia.org/wiki/Foo_(bar))
+const LINK_TARGET = '((?:[^()\\s]|\\([^()\\s]*\\))+)';
+const IMAGE_PATTERN = new RegExp(`!\\[([^\\]]*)\\]\\(${LINK_TARGET}\\)`, 'g');
+const LINK_PATTERN = new RegExp(`\\[([^\\]]+)\\]\\(${LINK_TARGET}\\)`, 'g');
+const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Whether a link target may be rendered: http(s), mailto, #anchors and
+ * relative URLs. Browsers ignore control characters and whitespace in a
+ * scheme, so they are removed before it is read.
+ */
+function isSafeUrl(url) {
+  const scheme = url.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Inline markdown to escaped XHTML: code spans, links, bold, italics,
+ * strikethrough and bare URLs. Links with other schemes (javascript:,
+ * data:, ...) are rendered as their text only.
+ */
+function renderInline(text) {
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  // URLs are set aside so the emphasis rules below can't rewrite them
+  const urls = [];
+  const keepUrl = (url) => {
+    urls.push(url);
+    return `\u0001${urls.length - 1}\u0001`;
+  };
+
+  html = html
+    .replace(IMAGE_PATTERN, (match, alt, src) =>
+      isSafeUrl(src) ? `<img src="${keepUrl(src)}" alt="${alt}" />` : alt
+    )
+    .replace(LINK_PATTERN, (match, label, href) =>
+      isSafeUrl(href) ? `<a href="${keepUrl(href)}">${label}</a>` : label
+    )
+    .replace(
+      /(^|[\s(])(https?:\/\/[^\s<)]+)/g,
+      (match, before, url) => `${before}<a href="${keepUrl(url)}">${keepUrl(url)}</a>`
+    )
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\s][^_]*?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+  return html
+    .replace(/\u0001(\d+)\u0001/g, (match, index) => urls[index])
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+function renderParagraph(lines) {
+  return lines
+    .map((line, index) => {
+      const hardBreak = index < lines.length - 1 && /( {2,}|\\)$/.test(line);
+      const text = renderInline(line.replace(/( {2,}|\\)$/, '').trim());
+      return hardBreak ? `${text}<br />` : text;
+    })
+    .join('\n');
+}
+
+/**
+ * Render block nodes as XHTML. The confluence flavor uses storage-format
+ * macros for code blocks and task lists.
+ */
+function renderBlocks(blocks, flavor = 'html') {
+  return blocks.map((block) => renderBlock(block, flavor)).join('\n');
+}
+
+function renderBlock(block, flavor) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${renderInline(block.text)}</h${block.level}>`;
+    case 'paragraph':
+      return `<p>${renderParagraph(block.lines)}</p>`;
+    case 'rule':
+      return '<hr />';
+    case 'quote':
+      return `<blockquote>\n${renderBlocks(block.children, flavor)}\n</blockquote>`;
+    case 'code':
+      if (flavor === 'confluence') {
+        return [
+          '<ac:structured-macro ac:name="code">',
+          block.language
+            ? `<ac:parameter ac:name="language">${escapeHtml(block.language)}</ac:parameter>`
+            : null,
+          `<ac:plain-text-body><![CDATA[${block.text.replace(/]]>/g, ']]]]><![CDATA[>')}]]></ac:plain-text-body>`,
+          '</ac:structured-macro>',
+        ]
+          .filter(Boolean)
+          .join('');
+      }
+      if (block.language === 'mermaid') {
+        // Rendered by mermaid.js where a page loads it, readable source otherwise
+        return `<pre class="mermaid">${escapeHtml(block.text)}</pre>`;
+      }
+      return `<pre><code${block.language ? ` class="language-${escapeHtml(block.language)}"` : ''}>${escapeHtml(block.text)}</code></pre>`;
+    case 'table':
+      return renderTable(block);
+    case 'list':
+      return renderList(block, flavor);
+    default:
+      return '';
+  }
+}
+
+function renderTable(block) {
+  const cell = (tag, text, column) => {
+    const align = block.align[column];
+    return `<${tag}${align ? ` style="text-align: ${align}"` : ''}>${renderInline(text)}</${tag}>`;
+  };
+  return [
+    '<table>',
+    '<thead>',
+    `<tr>${block.header.map((text, column) => cell('th', text, column)).join('')}</tr>`,
+    '</thead>',
+    '<tbody>',
+    ...block.rows.map(
+      (row) => `<tr>${row.map((text, column) => cell('td', text, column)).join('')}</tr>`
+    ),
+    '</tbody>',
+    '</table>',
+  ].join('\n');
+}
+
+function renderList(list, flavor) {
+  const isTaskList = list.items.every((item) => item.checked !== null);
+
+  if (isTaskList && flavor === 'confluence') {
+    return [
+      '<ac:task-list>',
+      ...list.items.map(
+        (item) =>
+          `<ac:task><ac:task-status>${item.checked ? 'complete' : 'incomplete'}</ac:task-status><ac:task-body>${renderInline(item.text)}${item.children.map((child) => renderList(child, flavor)).join('')}</ac:task-body></ac:task>`
+      ),
+      '</ac:task-list>',
+    ].join('\n');
+  }
+
+  const tag = list.ordered ? 'ol' : 'ul';
+  const items = list.items.map((item) => {
+    const checkbox =
+      item.checked === null
+        ? ''
+        : `<input type="checkbox" disabled="disabled"${item.checked ? ' checked="checked"' : ''} /> `;
+    const children = item.children.map((child) => renderList(child, flavor)).join('');
+    return `<li${item.checked === null ? '' : ' class="task"'}>${checkbox}${renderInline(item.text)}${children}</li>`;
+  });
+  return `<${tag}>\n${items.join('\n')}\n</${tag}>`;
+}
+
+/**
+ * Title for a rendered document: the first level-one heading, if any
+ */
+function documentTitle(blocks, fallback = 'Chroniclr Document') {
+  const heading = blocks.find((block) => block.type === 'heading' && block.level === 1);
+  return heading ? heading.text.replace(/[*_`]/g, '') : fallback;
+}
+
+/**
+ * Standalone HTML page with an embedded stylesheet
+ */
+function renderHtmlDocument(markdown, options = {}) {
+  const blocks = parseMarkdown(markdown);
+  const title = options.title || documentTitle(blocks);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="generator" content="Chroniclr" />
+<title>${escapeHtml(title)}</title>
+<style>
+${STYLESHEET}
+</style>
+</head>
+<body>
+<main>
+${renderBlocks(blocks, 'html')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Confluence storage-format body. The page title is set separately in
+ * Confluence, so a leading level-one heading is dropped.
+ */
+function renderConfluenceStorage(markdown) {
+  const blocks = parseMarkdown(markdown);
+  const [first, ...rest] = blocks;
+  const body = first?.type === 'heading' && first.level === 1 ? rest : blocks;
+  return `${renderBlocks(body, 'confluence')}\n`;
+}
+
+/**
+ * JSON sidecar: what was generated, from which sources, and the template
+ * variables it was filled with
+ */
+function renderJsonSidecar({ docType, title, fileName, data, variables }) {
+  return `${JSON.stringify(
+    {
+      docType,
+      title,
+      generatedAt: new Date().toISOString(),
+      document: fileName,
+      sources: {
+        discussion: data.discussion?.number ? Number(data.discussion.number) : null,
+        prs: (data.prs || []).map((pr) => pr.number),
+        issues: (data.issues || []).map((issue) => issue.number),
+        jiraIssues: (data.jiraIssues || []).map((issue) => issue.key),
+      },
+      variables,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Output formats for a document type: an explicit override (e.g. --format),
+ * else documents.formats.<docType>, else documents.formats.default.
+ * Markdown is always written; it's the copy every other format derives from.
+ */
+function resolveFormats(config, docType, override) {
+  const configured = config.documents?.formats || {};
+  const formats = override || configured[docType] || configured.default || DEFAULT_FORMATS;
+  const unknown = formats.filter((format) => !OUTPUT_FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown output format(s) ${unknown.join(', ')} (expected ${Object.keys(OUTPUT_FORMATS).join(', ')})`
+    );
+  }
+  return ['markdown', ...formats.filter((format) => format !== 'markdown')];
+}
+
+/**
+ * Render the non-markdown outputs of one document
+ *
+ * @param {string[]} formats - from resolveFormats
+ * @param {object} document - { docType, fileName, content, data, variables }
+ * @returns {Array<{format, fileName, content}>}
+ */
+function renderOutputs(formats, document) {
+  const baseName = document.fileName.replace(/\.md$/, '');
+  const title = documentTitle(parseMarkdown(document.content), document.docType);
+
+  return formats
+    .filter((format) => format !== 'markdown')
+    .map((format) => {
+      let content;
+      switch (format) {
+        case 'html':
+          content = renderHtmlDocument(document.content, { title });
+          break;
+        case 'confluence':
+          content = renderConfluenceStorage(document.content);
+          break;
+        case 'json':
+          content = renderJsonSidecar({ ...document, title });
+          break;
+        default:
+          throw new Error(`Unknown output format ${format}`);
+      }
+      return {
+        format,
+        fileName: `${baseName}${OUTPUT_FORMATS[format].extension}`,
+        content,
+      };
+    });
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  STYLESHEET,
+  escapeHtml,
+  parseMarkdown,
+  renderInline,
+  renderBlocks,
+  documentTitle,
+  renderHtmlDocument,
+  renderConfluenceStorage,
+  renderJsonSidecar,
+  resolveFormats,
+  renderOutputs,
+};
@@ -7,11 +7,29 @@
 
 const core = require('@actions/core');
 const github = require('@actions/github');
+const { getRequestQueue, getGitHubApiHost } = require('./request-queue');
+const { getFixtures } = require('./fixtures');
+const { getCache } = require('./cache');
 
 class PullRequestClient {
   constructor() {
-    this.github = github.getOctokit(process.env.GITHUB_TOKEN);
+    // Replayed runs never reach the API, so they need no real token
+    this.github = github.getOctokit(
+      process.env.GITHUB_TOKEN ||
+        (getFixtures().replaying ? 'fixture-replay' : undefined)
+    );
     this.context = github.context;
+    this.apiHost = getGitHubApiHost();
+  }
+
+  /**
+   * Run an Octokit call through the shared request queue, or serve it from
+   * the fixture bundle when recording/replaying
+   */
+  request(label, call) {
+    return getFixtures().replayOctokit(label, () =>
+      getRequestQueue().schedule(this.apiHost, call, { label })
+    );
   }
 
   /**
@@ -28,23 +46,42 @@ class PullRequestClient {
       try {
         core.info(`Fetching PR #${prNumber}`);
 
-        const { data: pr } = await this.github.rest.pulls.get({
-          owner: this.context.repo.owner,
-          repo: this.context.repo.repo,
-          pull_number: parseInt(prNumber),
-        });
+        const { data: pr } = await this.request(`PR #${prNumber}`, () =>
+          this.github.rest.pulls.get({
+            owner: this.context.repo.owner,
+            repo: this.context.repo.repo,
+            pull_number: parseInt(prNumber),
+          })
+        );
+
+        // Reuse the cached PR data if nothing changed since it was fetched
+        const cacheKey = {
+          repo: `${this.context.repo.owner}/${this.context.repo.repo}`,
+          number: pr.number,
+          updatedAt: pr.updated_at,
+        };
+        const cached = await getCache().get('pull-requests', cacheKey);
+        if (cached) {
+          prs.push(cached);
+          core.info(`✅ PR #${prNumber} unchanged since ${pr.updated_at} (cached)`);
+          continue;
+        }
 
         // Get PR files for change analysis
-        const { data: files } = await this.github.rest.pulls.listFiles({
-          owner: this.context.repo.owner,
-          repo: this.context.repo.repo,
-          pull_number: parseInt(prNumber),
-        });
+        const { data: files } = await this.request(
+          `PR #${prNumber} files`,
+          () =>
+            this.github.rest.pulls.listFiles({
+              owner: this.context.repo.owner,
+              repo: this.context.repo.repo,
+              pull_number: parseInt(prNumber),
+            })
+        );
 
         // Extract JIRA keys from PR content
         const jiraKeys = this.extractJiraKeys(pr.title + ' ' + (pr.body || ''));
 
-        prs.push({
+        const prData = {
           number: pr.number,
           title: pr.title,
           body: pr.body || '',
@@ -62,7 +99,11 @@ class PullRequestClient {
           })),
           jiraKeys: jiraKeys,
           labels: pr.labels.map((label) => label.name),
-        });
+          updatedAt: pr.updated_at,
+        };
+
+        prs.push(prData);
+        await getCache().set('pull-requests', cacheKey, prData);
 
         core.info(`✅ Fetched PR #${prNumber}: "${pr.title}"`);
       } catch (error) {
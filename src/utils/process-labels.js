@@ -8,19 +8,53 @@
 const core = require('@actions/core');
 const fs = require('fs');
 const path = require('path');
+const {
+  TemplateResolver,
+  loadTemplateCatalog,
+  templateLabelMapping,
+} = require('./template-catalog');
 
+/**
+ * Read chroniclr.config.json. A missing file throws with code ENOENT so
+ * callers can fall back to defaults; a malformed one reports line and column.
+ * Use config-validator.js to check the contents against the schema.
+ */
 function loadConfig() {
+  const configPath = path.join(process.cwd(), 'chroniclr.config.json');
+  let configData;
+  try {
+    configData = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    const loadError = new Error(`Failed to load config: ${error.message}`);
+    loadError.code = error.code;
+    throw loadError;
+  }
+
   try {
-    const configPath = path.join(process.cwd(), 'chroniclr.config.json');
-    const configData = fs.readFileSync(configPath, 'utf8');
     return JSON.parse(configData);
   } catch (error) {
-    throw new Error(`Failed to load config: ${error.message}`);
+    const position = Number(error.message.match(/at position (\d+)/)?.[1]);
+    if (Number.isNaN(position)) {
+      throw new Error(`Invalid JSON in chroniclr.config.json: ${error.message}`);
+    }
+    const lines = configData.slice(0, position).split('\n');
+    throw new Error(
+      `Invalid JSON in chroniclr.config.json at line ${lines.length}, column ${
+        lines[lines.length - 1].length + 1
+      }: ${error.message.replace(/ in JSON at position \d+.*$/, '')}`
+    );
   }
 }
 
-function mapLabelsToDocTypes(labels, config) {
-  const labelMapping = config.github?.discussionLabels || {};
+/**
+ * Labels map to document types via chroniclr.config.json; labels the config
+ * doesn't mention fall back to the defaults declared in template front-matter
+ */
+function mapLabelsToDocTypes(labels, config, templateLabels = {}) {
+  const labelMapping = {
+    ...templateLabels,
+    ...(config.github?.discussionLabels || {}),
+  };
   const documentTypes = new Set();
   
   // Parse labels if they come as a JSON string
@@ -61,7 +95,11 @@ function main() {
     const config = loadConfig();
     const labels = process.env.DISCUSSION_LABELS || '[]';
     
-    const documentTypes = mapLabelsToDocTypes(labels, config);
+    const documentTypes = mapLabelsToDocTypes(
+      labels,
+      config,
+      templateLabelMapping(loadTemplateCatalog(new TemplateResolver(config)))
+    );
     
     core.info(`Mapped labels to document types: ${documentTypes.join(', ')}`);
     core.setOutput('document_types', documentTypes.join(' '));
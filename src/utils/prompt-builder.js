@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Token-budgeted prompt builder
+ * Condenses oversized source sections with map-reduce summarization
+ */
+
+const core = require('@actions/core');
+
+const DEFAULT_CONTEXT_WINDOW = 8000;
+const DEFAULT_MAP_MAX_TOKENS = 500;
+const PROMPT_OVERHEAD_TOKENS = 300;
+const MAX_REDUCE_DEPTH = 3;
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Render a prompt section: { header, items, separator, footer }
+ */
+function renderSection(section) {
+  return (
+    (section.header || '') +
+    section.items.join(section.separator ?? '') +
+    (section.footer || '')
+  );
+}
+
+function renderSections(sections) {
+  return sections.map(renderSection).join('');
+}
+
+/**
+ * Split a single oversized item into pieces that fit the chunk budget,
+ * preferring paragraph and line boundaries
+ */
+function splitText(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const pieces = [];
+  let current = '';
+
+  for (const line of text.split(/(?<=\n)/)) {
+    if (current.length + line.length <= maxChars) {
+      current += line;
+      continue;
+    }
+    if (current) {
+      pieces.push(current);
+      current = '';
+    }
+    // A single line longer than the budget gets a hard split
+    for (let i = 0; i < line.length; i += maxChars) {
+      const part = line.slice(i, i + maxChars);
+      if (part.length === maxChars) {
+        pieces.push(part);
+      } else {
+        current = part;
+      }
+    }
+  }
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Group items into chunks of at most maxTokens each
+ */
+function chunkItems(items, maxTokens, separator = '') {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const pieces = items.flatMap((item) =>
+    estimateTokens(item) > maxTokens ? splitText(item, maxTokens) : [item]
+  );
+
+  for (const piece of pieces) {
+    const tokens = estimateTokens(piece + separator);
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      chunks.push(current.join(separator));
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(piece);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) {
+    chunks.push(current.join(separator));
+  }
+  return chunks;
+}
+
+class PromptBuilder {
+  /**
+   * @param {object} options
+   * @param {Function} options.summarize - async (prompt, { maxTokens }) => string|null
+   */
+  constructor(options = {}) {
+    this.contextWindow = options.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    this.maxOutputTokens = options.maxOutputTokens || 2000;
+    this.mapMaxTokens = options.mapMaxTokens || DEFAULT_MAP_MAX_TOKENS;
+    this.summarize = options.summarize;
+  }
+
+  /**
+   * Tokens available for source sections once the instructions and the
+   * model's reply are accounted for
+   */
+  getSourceBudget(instructions) {
+    return (
+      this.contextWindow -
+      this.maxOutputTokens -
+      estimateTokens(instructions) -
+      PROMPT_OVERHEAD_TOKENS
+    );
+  }
+
+  /**
+   * Condense sections until they fit the budget. Returns the (possibly
+   * rewritten) sections plus a condensation report, or null when nothing
+   * had to change.
+   */
+  async fitSections(docType, sections, instructions) {
+    const budget = this.getSourceBudget(instructions);
+    const total = estimateTokens(renderSections(sections));
+
+    if (total <= budget) {
+      return { sections, condensation: null };
+    }
+
+    core.info(
+      `📏 Source data is ~${total} tokens, budget is ~${budget}; condensing with map-reduce`
+    );
+
+    const fixedTokens = sections
+      .filter((section) => !section.condensable)
+      .reduce((sum, section) => sum + estimateTokens(renderSection(section)), 0);
+    const targets = this.allocateTargets(sections, Math.max(budget - fixedTokens, 0));
+
+    const report = [];
+    const fitted = [];
+
+    for (const [index, section] of sections.entries()) {
+      const sectionTokens = estimateTokens(renderSection(section));
+      const target = targets.get(index);
+
+      if (target === undefined || sectionTokens <= target) {
+        fitted.push(section);
+        continue;
+      }
+
+      const condensed = await this.condenseSection(docType, section, target);
+      fitted.push(condensed.section);
+      report.push({
+        title: section.title,
+        chunks: condensed.chunks,
+        originalTokens: sectionTokens,
+        condensedTokens: estimateTokens(renderSection(condensed.section)),
+      });
+    }
+
+    const fittedTotal = estimateTokens(renderSections(fitted));
+    if (fittedTotal > budget) {
+      core.warning(
+        `⚠️ Condensed source data (~${fittedTotal} tokens) still exceeds the budget (~${budget})`
+      );
+    }
+
+    return { sections: fitted, condensation: { sections: report } };
+  }
+
+  /**
+   * Share the available tokens between condensable sections. Sections that
+   * fit within an even share keep their full size and hand the rest on, so
+   * only the oversized ones get condensed.
+   */
+  allocateTargets(sections, available) {
+    const targets = new Map();
+    const condensable = sections
+      .map((section, index) => ({
+        index,
+        tokens: estimateTokens(renderSection(section)),
+        condensable: section.condensable,
+      }))
+      .filter((entry) => entry.condensable)
+      .sort((a, b) => a.tokens - b.tokens);
+
+    let remaining = available;
+    condensable.forEach((entry, position) => {
+      const share = Math.floor(remaining / (condensable.length - position));
+      const target = Math.min(entry.tokens, share);
+      targets.set(entry.index, target);
+      remaining -= target;
+    });
+
+    return targets;
+  }
+
+  /**
+   * Map: summarize each chunk separately. Reduce: summarize the summaries
+   * again while they are still over the section's target.
+   */
+  async condenseSection(docType, section, targetTokens, depth = 0) {
+    const chunkBudget =
+      this.contextWindow - this.mapMaxTokens - PROMPT_OVERHEAD_TOKENS;
+    const chunks = chunkItems(section.items, chunkBudget, section.separator);
+    const perChunkTokens = Math.max(
+      Math.min(this.mapMaxTokens, Math.floor(targetTokens / chunks.length)),
+      100
+    );
+
+    const summaries = [];
+    for (let i = 0; i < chunks.length; i++) {
+      core.info(
+        `🗜️ Condensing ${section.title} part ${i + 1}/${chunks.length}${
+          depth > 0 ? ` (reduce pass ${depth})` : ''
+        }`
+      );
+      const summary = await this.summarize(
+        this.createMapPrompt(docType, section.title, chunks[i], i, chunks.length),
+        { maxTokens: perChunkTokens }
+      );
+      if (!summary) {
+        throw new Error(`Failed to condense ${section.title} part ${i + 1}`);
+      }
+      summaries.push(summary.trim());
+    }
+
+    const condensed = {
+      ...section,
+      header: section.condensedHeader || section.header,
+      items: summaries,
+      separator: '\n\n',
+      footer: '\n\n',
+    };
+
+    if (
+      summaries.length > 1 &&
+      estimateTokens(renderSection(condensed)) > targetTokens &&
+      depth < MAX_REDUCE_DEPTH
+    ) {
+      const reduced = await this.condenseSection(
+        docType,
+        condensed,
+        targetTokens,
+        depth + 1
+      );
+      return { section: reduced.section, chunks: chunks.length + reduced.chunks };
+    }
+
+    return { section: condensed, chunks: chunks.length };
+  }
+
+  createMapPrompt(docType, title, chunk, index, count) {
+    return `You are condensing source material for a ${docType} document.
+This is part ${index + 1} of ${count} of the "${title}" section.
+
+Summarize it concisely. Keep every PR number, issue number, Jira key, @username, URL, date, number, decision and action item exactly as written. Do not add information that is not in the text.
+
+${chunk}`;
+  }
+}
+
+module.exports = {
+  PromptBuilder,
+  estimateTokens,
+  renderSection,
+  renderSections,
+  chunkItems,
+};
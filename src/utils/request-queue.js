@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Rate-limit aware request queue
+ * Bounded concurrency, per-host budgets and retry/backoff for all outbound API calls
+ */
+
+const core = require('@actions/core');
+
+const DEFAULT_OPTIONS = {
+  concurrency: 4,
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  // Never sleep longer than this for a single retry; give up instead
+  maxRetryWaitMs: 120000,
+  hosts: {
+    'models.github.ai': { concurrency: 1, requestsPerMinute: 10 },
+    'api.github.com': { concurrency: 4 },
+  },
+};
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+class RateLimitError extends Error {
+  constructor(host, retryAfterMs, status) {
+    super(
+      `Rate limit exceeded for ${host}${status ? ` (${status})` : ''}` +
+        (retryAfterMs ? `, retry after ${Math.ceil(retryAfterMs / 1000)}s` : '')
+    );
+    this.name = 'RateLimitError';
+    this.host = host;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Read a header from either a fetch Headers object or a plain object
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Work out how long the server asked us to wait, in milliseconds
+ */
+function parseRetryDelay(headers, now = Date.now()) {
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const reset = getHeader(headers, 'x-ratelimit-reset');
+  if (reset !== undefined) {
+    const value = Number(reset);
+    if (!Number.isNaN(value)) {
+      // GitHub sends epoch seconds, other APIs send seconds until reset
+      return value > 1e9 ? Math.max(0, value * 1000 - now) : value * 1000;
+    }
+  }
+
+  return null;
+}
+
+// Connection failures worth retrying, from Node's net/dns layer or undici
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+];
+
+/**
+ * Whether an error without an HTTP status is a network failure: fetch()
+ * rejects with a TypeError whose cause is the underlying error. Any other
+ * error (a bug in the wrapped call, a bad argument) is not retried.
+ */
+function isNetworkError(error) {
+  if (error.name === 'TypeError' && error.cause) return true;
+  return NETWORK_ERROR_CODES.includes(error.code || error.cause?.code);
+}
+
+/**
+ * Whether a failed attempt (status + headers) should be retried
+ */
+function isRetryable(status, headers) {
+  if (RETRYABLE_STATUSES.includes(status)) {
+    return true;
+  }
+  // GitHub signals primary/secondary rate limits with 403
+  return (
+    status === 403 &&
+    (getHeader(headers, 'x-ratelimit-remaining') === '0' ||
+      getHeader(headers, 'retry-after') !== undefined)
+  );
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+function getGitHubApiHost() {
+  return getHost(process.env.GITHUB_API_URL || 'https://api.github.com');
+}
+
+class RequestQueue {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      hosts: { ...DEFAULT_OPTIONS.hosts, ...(options.hosts || {}) },
+    };
+    this.active = 0;
+    this.waiting = [];
+    this.hostState = {};
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, failures: 0 };
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  getHostState(host) {
+    if (!this.hostState[host]) {
+      const budget = this.options.hosts[host] || {};
+      this.hostState[host] = {
+        concurrency: budget.concurrency || this.options.concurrency,
+        requestsPerMinute: budget.requestsPerMinute || null,
+        active: 0,
+        startedAt: [],
+        blockedUntil: 0,
+      };
+    }
+    return this.hostState[host];
+  }
+
+  /**
+   * Milliseconds until a slot for this host opens up (0 = go now)
+   */
+  getWaitTime(host) {
+    const state = this.getHostState(host);
+    const now = Date.now();
+
+    if (this.active >= this.options.concurrency) return 50;
+    if (state.active >= state.concurrency) return 50;
+    if (state.blockedUntil > now) return state.blockedUntil - now;
+
+    if (state.requestsPerMinute) {
+      state.startedAt = state.startedAt.filter((t) => now - t < 60000);
+      if (state.startedAt.length >= state.requestsPerMinute) {
+        return 60000 - (now - state.startedAt[0]);
+      }
+    }
+    return 0;
+  }
+
+  async acquire(host) {
+    let wait = this.getWaitTime(host);
+    while (wait > 0) {
+      await this.sleep(Math.min(wait, 1000));
+      wait = this.getWaitTime(host);
+    }
+    const state = this.getHostState(host);
+    state.active++;
+    state.startedAt.push(Date.now());
+    this.active++;
+  }
+
+  release(host) {
+    this.getHostState(host).active--;
+    this.active--;
+  }
+
+  computeBackoff(attempt) {
+    const exponential = this.options.baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * this.options.baseDelayMs;
+    return Math.min(exponential + jitter, this.options.maxDelayMs);
+  }
+
+  /**
+   * Run a task against a host with bounded concurrency and retries.
+   * The task either resolves or throws an error carrying `status` and
+   * `response.headers` (the Octokit RequestError shape).
+   */
+  async schedule(host, task, { label = host } = {}) {
+    const { maxRetries, maxRetryWaitMs } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(host);
+      this.stats.requests++;
+
+      let outcome;
+      try {
+        outcome = { value: await task() };
+      } catch (error) {
+        outcome = { error };
+      } finally {
+        this.release(host);
+      }
+
+      if (!outcome.error) {
+        return outcome.value;
+      }
+
+      const error = outcome.error;
+      const headers = error.response?.headers || error.headers;
+      const status = error.status;
+      const networkError = status === undefined && isNetworkError(error);
+
+      if (!networkError && !isRetryable(status, headers)) {
+        this.stats.failures++;
+        throw error;
+      }
+
+      const serverDelay = headers ? parseRetryDelay(headers) : null;
+      const delay = serverDelay ?? this.computeBackoff(attempt);
+      const rateLimited = status === 429 || status === 403;
+
+      if (rateLimited) {
+        this.stats.rateLimited++;
+        this.getHostState(host).blockedUntil = Date.now() + delay;
+      }
+
+      if (attempt >= maxRetries || delay > maxRetryWaitMs) {
+        this.stats.failures++;
+        if (rateLimited) {
+          throw new RateLimitError(host, delay, status);
+        }
+        throw error;
+      }
+
+      this.stats.retries++;
+      core.warning(
+        `⏳ ${label}: ${status ? `HTTP ${status}` : error.message}, retrying in ${Math.ceil(
+          delay / 1000
+        )}s (attempt ${attempt + 2}/${maxRetries + 1})`
+      );
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * fetch() through the queue. Retryable responses are retried; once retries
+   * are exhausted a 429 raises RateLimitError and other responses are returned
+   * to the caller unchanged.
+   */
+  async fetch(url, options = {}, { label } = {}) {
+    const host = getHost(url);
+    let lastResponse = null;
+
+    try {
+      return await this.schedule(
+        host,
+        async () => {
+          const response = await fetch(url, options);
+          if (isRetryable(response.status, response.headers)) {
+            lastResponse = response;
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            error.headers = response.headers;
+            throw error;
+          }
+          return response;
+        },
+        { label: label || host }
+      );
+    } catch (error) {
+      if (error instanceof RateLimitError || !lastResponse) {
+        throw error;
+      }
+      return lastResponse;
+    }
+  }
+
+  logSummary() {
+    const { requests, retries, rateLimited, failures } = this.stats;
+    if (requests === 0) return;
+    core.info(
+      `📡 Request queue: ${requests} requests, ${retries} retries, ${rateLimited} rate-limited, ${failures} failed`
+    );
+  }
+}
+
+let sharedQueue = null;
+
+/**
+ * Configure the shared queue (called once with the `requestQueue` config section)
+ */
+function configureRequestQueue(options = {}) {
+  sharedQueue = new RequestQueue(options);
+  return sharedQueue;
+}
+
+function getRequestQueue() {
+  if (!sharedQueue) {
+    sharedQueue = new RequestQueue();
+  }
+  return sharedQueue;
+}
+
+module.exports = {
+  RequestQueue,
+  RateLimitError,
+  configureRequestQueue,
+  getRequestQueue,
+  getGitHubApiHost,
+  parseRetryDelay,
+};
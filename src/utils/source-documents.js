@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Source-aware documents
+ * Every generated document starts with a marker naming the source it was
+ * generated from, so regenerating for the same discussion, PRs or Jira
+ * issues updates the existing file and appends to its changelog instead of
+ * creating another copy
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SOURCE_MARKER_PATTERN = /^<!-- chroniclr-source: (\{.*\}) -->\r?\n?/;
+const CHANGELOG_HEADING = '## Changelog';
+const CHANGELOG_MARKER = '<!-- chroniclr-changelog -->';
+
+/**
+ * Source key of an issue query description, e.g. "issues-query-label-bug"
+ */
+function issueQuerySource(description) {
+  const slug = description
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `issues-query-${slug}`;
+}
+
+/**
+ * A stable identity for the source a document was generated from: the
+ * discussion, the active sprint for sprint reports, the fix version for
+ * releases, else the PRs, the issue query, the issue numbers or the Jira
+ * keys. `source` is shared by all document types generated from it; `key`
+ * is unique per document. Runs with no identifiable source get
+ * `source: null`.
+ *
+ * @returns {Promise<{key: string, source: string|null, label: string}>}
+ */
+async function sourceIdentity(docType, data, { getCurrentSprint } = {}) {
+  const identity = (source, label) => ({ key: `${docType}-${source}`, source, label });
+
+  if (data.discussion?.number) {
+    return identity(`discussion-${data.discussion.number}`, `Discussion #${data.discussion.number}`);
+  }
+
+  if (docType === 'sprint-status' && getCurrentSprint) {
+    const sprint = await getCurrentSprint();
+    if (sprint?.id) {
+      return identity(`sprint-${sprint.id}`, sprint.name || `Sprint ${sprint.id}`);
+    }
+  }
+
+  if (docType === 'release') {
+    const version = (data.jiraIssues || []).flatMap((issue) => issue.fixVersions || [])[0];
+    if (version) {
+      return identity(`version-${version.replace(/[^\w.-]+/g, '-')}`, `Release ${version}`);
+    }
+  }
+
+  const prNumbers = (data.prs || []).map((pr) => pr.number).sort((a, b) => a - b);
+  if (prNumbers.length > 0) {
+    return identity(`pr-${prNumbers.join('-')}`, `PR ${prNumbers.map((n) => `#${n}`).join(', ')}`);
+  }
+
+  // Queried issues change between runs; the query itself is the source
+  if (data.issueQuery) {
+    return identity(issueQuerySource(data.issueQuery), `Issues matching ${data.issueQuery}`);
+  }
+
+  const issueNumbers = (data.issues || []).map((issue) => issue.number).sort((a, b) => a - b);
+  if (issueNumbers.length > 0) {
+    return identity(
+      `issues-${issueNumbers.join('-')}`,
+      `Issues ${issueNumbers.map((n) => `#${n}`).join(', ')}`
+    );
+  }
+
+  const jiraKeys = (data.jiraIssues || []).map((issue) => issue.key).sort();
+  if (jiraKeys.length > 0) {
+    return identity(`jira-${jiraKeys.join('-')}`, jiraKeys.join(', '));
+  }
+
+  return { key: docType, source: null, label: docType };
+}
+
+function readSourceMarker(content) {
+  const match = content.match(SOURCE_MARKER_PATTERN);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split a document into its body and changelog entries, without the marker
+ */
+function parseSourceDocument(content) {
+  let body = content.replace(SOURCE_MARKER_PATTERN, '');
+  let entries = [];
+  const changelog = body.lastIndexOf(CHANGELOG_MARKER);
+  if (changelog !== -1) {
+    entries = body
+      .slice(changelog + CHANGELOG_MARKER.length)
+      .split('\n')
+      .filter((line) => line.startsWith('- '))
+      .map((line) => line.slice(2));
+    body = body.slice(0, changelog).replace(new RegExp(`${CHANGELOG_HEADING}\\s*$`), '');
+  }
+  return { marker: readSourceMarker(content), body: body.trim(), entries };
+}
+
+function renderSourceDocument(identity, docType, body, entries) {
+  const marker = JSON.stringify({
+    key: identity.key,
+    source: identity.source,
+    label: identity.label,
+    docType,
+    ...(identity.series && { series: identity.series }),
+  });
+  return [
+    `<!-- chroniclr-source: ${marker} -->`,
+    body.trim(),
+    '',
+    CHANGELOG_HEADING,
+    '',
+    CHANGELOG_MARKER,
+    ...entries.map((entry) => `- ${entry}`),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Markdown documents directly inside the output directory's folders,
+ * newest folder first. README.md files are indexes, not documents.
+ */
+async function listDocuments(baseDir) {
+  const folders = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
+  const documents = [];
+  for (const folder of folders
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => dirent.name)
+    .sort()
+    .reverse()) {
+    const files = await fs.readdir(path.join(baseDir, folder)).catch(() => []);
+    for (const fileName of files.filter((file) => file.endsWith('.md') && file !== 'README.md').sort()) {
+      const filePath = path.join(baseDir, folder, fileName);
+      const content = await fs.readFile(filePath, 'utf8');
+      documents.push({ folder, fileName, filePath, content, marker: readSourceMarker(content) });
+    }
+  }
+  return documents;
+}
+
+/**
+ * Where a document for this source already lives, if anywhere:
+ * - `document`: the existing file for the same source and type, found by
+ *   its marker, or by file name for documents written before markers
+ * - `folder`: the folder holding it, or holding other documents generated
+ *   from the same source outside `ignoreFolders` (folders shared by many
+ *   sources, like adr)
+ */
+async function locateSourceDocument(baseDir, identity, fileName, { ignoreFolders = [] } = {}) {
+  if (!identity.source) {
+    return { document: null, folder: null };
+  }
+
+  const documents = await listDocuments(baseDir);
+  const document =
+    documents.find((candidate) => candidate.marker?.key === identity.key) ||
+    documents.find((candidate) => !candidate.marker && candidate.fileName === fileName);
+  if (document) {
+    return { document, folder: document.folder };
+  }
+
+  const sibling = documents.find(
+    (candidate) =>
+      candidate.marker?.source === identity.source && !ignoreFolders.includes(candidate.folder)
+  );
+  return { document: null, folder: sibling ? sibling.folder : null };
+}
+
+/**
+ * The content to write for a freshly generated body: a new document with
+ * a "Created" changelog entry, the previous document untouched if the body
+ * did not change, or the new body with an "Updated" entry appended to the
+ * previous changelog
+ *
+ * @returns {{action: 'created'|'updated'|'unchanged', content: string}}
+ */
+function trackSourceDocument(previous, identity, docType, body) {
+  const now = new Date().toISOString().replace('T', ' ').slice(0, 16);
+  if (previous === null) {
+    return {
+      action: 'created',
+      content: renderSourceDocument(identity, docType, body, [
+        `${now} UTC: Created from ${identity.label}`,
+      ]),
+    };
+  }
+
+  const { body: previousBody, entries } = parseSourceDocument(previous);
+  if (previousBody === body.trim()) {
+    return { action: 'unchanged', content: previous };
+  }
+  return {
+    action: 'updated',
+    content: renderSourceDocument(identity, docType, body, [
+      ...entries,
+      `${now} UTC: Updated from ${identity.label}`,
+    ]),
+  };
+}
+
+module.exports = {
+  sourceIdentity,
+  issueQuerySource,
+  readSourceMarker,
+  parseSourceDocument,
+  listDocuments,
+  locateSourceDocument,
+  trackSourceDocument,
+};
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Structured (JSON) generation helpers
+ * Parses model JSON output and maps it onto template placeholders
+ */
+
+/**
+ * Extract and parse the JSON object from a model response, tolerating
+ * markdown code fences and stray prose around it
+ */
+function parseJSONResponse(text) {
+  if (!text) {
+    throw new Error('Empty response');
+  }
+
+  let candidate = text.trim();
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object found in response');
+  }
+
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Schema as shown to the model: Chroniclr's x-* rendering hints removed
+ */
+function schemaForPrompt(schema) {
+  return JSON.stringify(
+    schema,
+    (key, value) => (key.startsWith('x-') || key === '$schema' ? undefined : value),
+    2
+  );
+}
+
+function escapeTableCell(value) {
+  return String(value ?? '')
+    .replace(/\|/g, '\\|')
+    .replace(/\n/g, ' ');
+}
+
+function formatListItem(item) {
+  if (item && typeof item === 'object') {
+    return Object.values(item)
+      .filter((value) => value !== undefined && value !== null && value !== '')
+      .join(' — ');
+  }
+  return String(item);
+}
+
+/**
+ * Format one schema property value as markdown
+ */
+function formatValue(value, property = {}) {
+  if (!Array.isArray(value)) {
+    return String(value);
+  }
+
+  if (value.length === 0) {
+    return property['x-empty'] ?? (property['x-render'] === 'table' ? '' : 'None');
+  }
+
+  switch (property['x-render']) {
+    case 'table': {
+      const columns =
+        property['x-columns'] || Object.keys(property.items?.properties || {});
+      return value
+        .map(
+          (row) =>
+            `| ${columns
+              .map((column) => escapeTableCell(row[column] || '—'))
+              .join(' | ')} |`
+        )
+        .join('\n');
+    }
+    case 'numbered':
+      return value.map((item, index) => `${index + 1}. ${formatListItem(item)}`).join('\n');
+    case 'inline':
+      return value.map(formatListItem).join(', ');
+    default:
+      return value.map((item) => `- ${formatListItem(item)}`).join('\n');
+  }
+}
+
+/**
+ * Map schema-validated values onto template placeholders, formatted as
+ * markdown. Properties without a value are left out so the template's
+ * own defaults apply.
+ */
+function structuredTemplateValues(schema, values) {
+  const placeholders = {};
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    const value = values[key];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    placeholders[property['x-placeholder'] || key] = formatValue(value, property);
+  }
+
+  return placeholders;
+}
+
+module.exports = {
+  parseJSONResponse,
+  schemaForPrompt,
+  formatValue,
+  structuredTemplateValues,
+};
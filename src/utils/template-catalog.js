@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Template catalog
+ * Resolves templates through the override, config and built-in layers, and
+ * reads their YAML front-matter: description, required and optional data
+ * sources, variables and default discussion labels
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SOURCE_TYPES = ['discussion', 'pr', 'issues', 'jira'];
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Templates shipped with Chroniclr, wherever it is installed
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+const DEFAULT_OVERRIDE_DIR = '.chroniclr/templates';
+
+function listFiles(dir, extension) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(extension))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Finds the file behind each document type, first match wins:
+ *   1. <documents.templateDir>/<type>.md (default .chroniclr/templates)
+ *   2. documents.templates.<type> in chroniclr.config.json
+ *   3. Chroniclr's built-in src/templates/<type>.md
+ * Partials and JSON schemas follow the same override -> built-in order.
+ */
+class TemplateResolver {
+  constructor(config = {}) {
+    const documents = config.documents || {};
+    this.overrideDir = path.resolve(
+      process.cwd(),
+      documents.templateDir || DEFAULT_OVERRIDE_DIR
+    );
+    this.mapped = Object.fromEntries(
+      Object.entries(documents.templates || {}).map(([docType, file]) => [
+        docType,
+        path.resolve(process.cwd(), file),
+      ])
+    );
+    this.builtinDir = BUILTIN_TEMPLATES_DIR;
+  }
+
+  /**
+   * Candidate files for a document type, in priority order
+   */
+  candidates(docType) {
+    return [
+      path.join(this.overrideDir, `${docType}.md`),
+      this.mapped[docType],
+      path.join(this.builtinDir, `${docType}.md`),
+    ].filter(Boolean);
+  }
+
+  resolve(docType) {
+    return this.candidates(docType).find((file) => fs.existsSync(file)) || null;
+  }
+
+  docTypes() {
+    const names = new Set([
+      ...listFiles(this.overrideDir, '.md').map((file) => path.basename(file, '.md')),
+      ...Object.keys(this.mapped),
+      ...listFiles(this.builtinDir, '.md').map((file) => path.basename(file, '.md')),
+    ]);
+    return [...names].filter((docType) => this.resolve(docType)).sort();
+  }
+
+  schemaPath(docType) {
+    return (
+      [this.overrideDir, this.builtinDir]
+        .map((dir) => path.join(dir, 'schemas', `${docType}.json`))
+        .find((file) => fs.existsSync(file)) || null
+    );
+  }
+
+  /**
+   * Partial name -> text; overrides replace built-in partials of the same name
+   */
+  loadPartials() {
+    const partials = {};
+    for (const dir of [this.builtinDir, this.overrideDir]) {
+      const partialsDir = path.join(dir, 'partials');
+      for (const file of listFiles(partialsDir, '.md')) {
+        partials[path.basename(file, '.md')] = fs.readFileSync(
+          path.join(partialsDir, file),
+          'utf8'
+        );
+      }
+    }
+    return partials;
+  }
+}
+
+/**
+ * Split a template into its front-matter metadata and markdown body
+ */
+function parseFrontMatter(text) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { metadata: {}, body: text };
+  }
+  return {
+    metadata: yaml.load(match[1]) || {},
+    body: text.slice(match[0].length),
+  };
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Fill in defaults and check source names
+ */
+function normalizeMetadata(docType, metadata) {
+  const sources = metadata.sources || {};
+  const normalized = {
+    name: docType,
+    description: metadata.description || '',
+    sources: {
+      required: toList(sources.required),
+      optional: toList(sources.optional),
+    },
+    variables: toList(metadata.variables),
+    labels: toList(metadata.labels),
+  };
+
+  const unknown = [...normalized.sources.required, ...normalized.sources.optional].filter(
+    (source) => !SOURCE_TYPES.includes(source)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Template ${docType}: unknown source(s) ${unknown.join(', ')} (expected ${SOURCE_TYPES.join(', ')})`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Metadata for every resolvable template, keyed by document type
+ */
+function loadTemplateCatalog(resolver = new TemplateResolver()) {
+  const catalog = {};
+  for (const docType of resolver.docTypes()) {
+    const file = resolver.resolve(docType);
+    const { metadata } = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+    catalog[docType] = { ...normalizeMetadata(docType, metadata), path: file };
+  }
+  return catalog;
+}
+
+/**
+ * Default label -> document types mapping declared by the templates
+ */
+function templateLabelMapping(catalog) {
+  const mapping = {};
+  for (const metadata of Object.values(catalog)) {
+    metadata.labels.forEach((label) => {
+      mapping[label] = [...(mapping[label] || []), metadata.name];
+    });
+  }
+  return mapping;
+}
+
+/**
+ * Sources that actually produced data in this run
+ */
+function availableSources(data) {
+  return SOURCE_TYPES.filter((source) => {
+    switch (source) {
+      case 'discussion':
+        return Boolean(data.discussion?.number);
+      case 'pr':
+        return data.prs?.length > 0;
+      case 'issues':
+        return data.issues?.length > 0;
+      case 'jira':
+        return data.jiraIssues?.length > 0;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Compare a template's declared sources with the collected data
+ */
+function checkTemplateSources(metadata, data) {
+  const available = availableSources(data);
+  return {
+    missingRequired: metadata.sources.required.filter((s) => !available.includes(s)),
+    missingOptional: metadata.sources.optional.filter((s) => !available.includes(s)),
+  };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  TemplateResolver,
+  parseFrontMatter,
+  normalizeMetadata,
+  loadTemplateCatalog,
+  templateLabelMapping,
+  availableSources,
+  checkTemplateSources,
+};
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown template engine
+ * Renders src/templates/*.md with variables, filters, conditionals, loops and partials
+ *
+ *   {title}                      variable (dot paths allowed: {sprint.name})
+ *   {prs | pluralize:"PR"}       filters, chained with |
+ *   {#if jiraIssues}…{else}…{/if}  conditional ({#unless} is the negation)
+ *   {#each prs}…{else}…{/each}   loop; {this}, {@index}, {@number}, item fields
+ *   {> jira-references}          partial from src/templates/partials/
+ *
+ * Block tags and partials on a line of their own don't leave blank lines behind.
+ */
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const TAG_PATTERN =
+  /\{(?:(#if|#unless|#each)\s+([^}]+?)\s*|(else)|\/(if|unless|each)|>\s*([\w-]+)\s*|([A-Za-z_@][\w.@-]*(?:\s*\|[^}]*)?))\}/g;
+
+// Block tags and partials alone on a line swallow the line, including its
+// newline (a partial brings its own)
+const STANDALONE_PATTERN =
+  /^[ \t]*(\{(?:#(?:if|unless|each)\s[^}]*|else|\/(?:if|unless|each)|>\s*[\w-]+\s*)\})[ \t]*(?:\r?\n|$)/gm;
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === false ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+const FILTERS = {
+  /**
+   * {createdAt | date} or {createdAt | date:"MMM D, YYYY"} (UTC)
+   */
+  date(value, format = 'YYYY-MM-DD') {
+    if (isEmpty(value)) return value;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return value;
+    const tokens = {
+      YYYY: date.getUTCFullYear(),
+      MMMM: MONTHS[date.getUTCMonth()],
+      MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      D: date.getUTCDate(),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+    };
+    return format.replace(/YYYY|MMMM|MMM|MM|DD|D|HH|mm/g, (token) => tokens[token]);
+  },
+  join(value, separator = ', ') {
+    return Array.isArray(value) ? value.join(separator) : value;
+  },
+  /**
+   * {prs | pluralize:"PR"} -> "1 PR" / "3 PRs"; accepts arrays or numbers
+   */
+  pluralize(value, singular = 'item', plural = `${singular}s`) {
+    const count = Array.isArray(value) ? value.length : Number(value) || 0;
+    return `${count} ${count === 1 ? singular : plural}`;
+  },
+  default(value, fallback = '') {
+    return isEmpty(value) ? fallback : value;
+  },
+  map(value, key) {
+    return Array.isArray(value) ? value.map((item) => item?.[key]) : value?.[key];
+  },
+  length(value) {
+    return Array.isArray(value) || typeof value === 'string' ? value.length : 0;
+  },
+  first(value) {
+    return Array.isArray(value) ? value[0] : value;
+  },
+  last(value) {
+    return Array.isArray(value) ? value[value.length - 1] : value;
+  },
+  list(value) {
+    return Array.isArray(value) ? value.map((item) => `- ${item}`).join('\n') : value;
+  },
+  numbered(value) {
+    return Array.isArray(value)
+      ? value.map((item, index) => `${index + 1}. ${item}`).join('\n')
+      : value;
+  },
+  upper(value) {
+    return isEmpty(value) ? value : String(value).toUpperCase();
+  },
+  lower(value) {
+    return isEmpty(value) ? value : String(value).toLowerCase();
+  },
+  truncate(value, length = 80) {
+    const text = isEmpty(value) ? '' : String(value);
+    return text.length > length ? `${text.slice(0, length - 1)}…` : value;
+  },
+};
+
+/**
+ * Split "name:arg:arg" on colons outside quotes and parse the arguments
+ */
+function parseFilter(expression) {
+  const parts = expression.match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^:]+/g) || [];
+  const [name, ...args] = parts.map((part) => part.trim());
+  if (!FILTERS[name]) {
+    throw new TemplateError(`Unknown template filter "${name}"`);
+  }
+  return {
+    name,
+    args: args.map((arg) => {
+      if (/^".*"$/.test(arg)) return JSON.parse(arg);
+      if (/^'.*'$/.test(arg)) return arg.slice(1, -1);
+      if (/^-?\d+(\.\d+)?$/.test(arg)) return Number(arg);
+      return arg;
+    }),
+  };
+}
+
+/**
+ * Parse a template into a tree of text, var, if, each and partial nodes
+ */
+function parse(template) {
+  const source = template.replace(STANDALONE_PATTERN, '$1');
+  const root = [];
+  // Open blocks, each with the branch (body or otherwise) being filled
+  const stack = [{ node: null, children: root }];
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, blockOpen, blockArg, elseTag, blockClose, partial, variable] = match;
+    const frame = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      frame.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (blockOpen) {
+      const block = blockOpen.slice(1);
+      const node = {
+        type: block === 'each' ? 'each' : 'if',
+        block,
+        path: blockArg,
+        negate: block === 'unless',
+        body: [],
+        otherwise: [],
+      };
+      frame.children.push(node);
+      stack.push({ node, children: node.body });
+    } else if (elseTag) {
+      if (!frame.node) {
+        throw new TemplateError('{else} outside of an {#if} or {#each} block');
+      }
+      frame.children = frame.node.otherwise;
+    } else if (blockClose) {
+      if (!frame.node || frame.node.block !== blockClose) {
+        throw new TemplateError(
+          `Unexpected {/${blockClose}}${frame.node ? `, expected {/${frame.node.block}}` : ''}`
+        );
+      }
+      stack.pop();
+    } else if (partial) {
+      frame.children.push({ type: 'partial', name: partial });
+    } else {
+      const [path, ...filters] = variable.split('|').map((part) => part.trim());
+      frame.children.push({ type: 'var', path, filters: filters.map(parseFilter) });
+    }
+  }
+
+  if (stack.length > 1) {
+    const { node } = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {#${node.block} ${node.path}}`);
+  }
+  if (lastIndex < source.length) {
+    stack[0].children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root;
+}
+
+function resolve(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => value?.[key], scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function stringify(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+class TemplateEngine {
+  /**
+   * @param {object} options
+   * @param {object} options.partials - partial name -> template text
+   * @param {string} options.missing - rendered for variables with no value
+   */
+  constructor(options = {}) {
+    this.partials = options.partials || {};
+    this.missing = options.missing ?? 'TBD';
+  }
+
+  render(template, context = {}) {
+    return this.renderNodes(parse(template), [context], []);
+  }
+
+  renderNodes(nodes, scopes, partialStack) {
+    return nodes
+      .map((node) => this.renderNode(node, scopes, partialStack))
+      .join('');
+  }
+
+  renderNode(node, scopes, partialStack) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        let value = resolve(node.path, scopes);
+        for (const { name, args } of node.filters) {
+          value = FILTERS[name](value, ...args);
+        }
+        return value === undefined || value === null ? this.missing : stringify(value);
+      }
+      case 'if': {
+        const truthy = !isEmpty(resolve(node.path, scopes));
+        const branch = truthy !== node.negate ? node.body : node.otherwise;
+        return this.renderNodes(branch, scopes, partialStack);
+      }
+      case 'each': {
+        const items = resolve(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return this.renderNodes(node.otherwise, scopes, partialStack);
+        }
+        return items
+          .map((item, index) =>
+            this.renderNodes(
+              node.body,
+              [
+                ...scopes,
+                {
+                  this: item,
+                  '@index': index,
+                  '@number': index + 1,
+                  '@first': index === 0,
+                  '@last': index === items.length - 1,
+                },
+                item,
+              ],
+              partialStack
+            )
+          )
+          .join('');
+      }
+      case 'partial': {
+        if (!(node.name in this.partials)) {
+          throw new TemplateError(`Unknown partial "${node.name}"`);
+        }
+        if (partialStack.includes(node.name)) {
+          throw new TemplateError(`Recursive partial "${node.name}"`);
+        }
+        return this.renderNodes(parse(this.partials[node.name]), scopes, [
+          ...partialStack,
+          node.name,
+        ]);
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Context variables a template reads, including through partials.
+   * Names resolved against {#each} items are not included.
+   */
+  variables(template, partialStack = []) {
+    const names = new Set();
+    const visit = (nodes, inLoop) => {
+      for (const node of nodes) {
+        if (node.type === 'var' || node.type === 'if' || node.type === 'each') {
+          if (!inLoop && !node.path.startsWith('@')) {
+            names.add(node.path.split('.')[0]);
+          }
+        }
+        if (node.type === 'if') {
+          visit(node.body, inLoop);
+          visit(node.otherwise, inLoop);
+        } else if (node.type === 'each') {
+          visit(node.body, true);
+          visit(node.otherwise, inLoop);
+        } else if (
+          node.type === 'partial' &&
+          node.name in this.partials &&
+          !partialStack.includes(node.name)
+        ) {
+          this.variables(this.partials[node.name], [...partialStack, node.name]).forEach(
+            (name) => names.add(name)
+          );
+        }
+      }
+    };
+    visit(parse(template), false);
+    return [...names];
+  }
+
+  /**
+   * The template as the model should see it: partials inlined, the first
+   * branch of each block kept once, and variables as plain {placeholders}
+   */
+  outline(template, partialStack = []) {
+    return parse(template)
+      .map((node) => this.outlineNode(node, partialStack))
+      .join('');
+  }
+
+  outlineNode(node, partialStack) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var':
+        return `{${node.path}}`;
+      case 'if':
+      case 'each':
+        return node.body.map((child) => this.outlineNode(child, partialStack)).join('');
+      case 'partial':
+        return node.name in this.partials && !partialStack.includes(node.name)
+          ? this.outline(this.partials[node.name], [...partialStack, node.name])
+          : '';
+      default:
+        return '';
+    }
+  }
+}
+
+module.exports = { TemplateEngine, TemplateError, FILTERS, parse };
@@ -0,0 +1,91 @@
+/**
+ * Three-way section merge of regenerated documents with hand edits
+ * (src/utils/document-merge.js)
+ */
+
+const { mergeDocument, splitSections } = require('../src/utils/document-merge');
+
+const doc = (sections) =>
+  ['# Auth planning', ...Object.entries(sections).map(([heading, text]) => `## ${heading}\n\n${text}`)].join(
+    '\n\n'
+  );
+
+describe('splitSections', () => {
+  test('splits at level-two headings, ignoring headings inside code fences', () => {
+    const sections = splitSections('# Title\n\n## One\n\nA\n\n```\n## not a heading\n```\n\n## One\n\nB');
+    expect(sections.map((section) => section.key)).toEqual(['', 'one', 'one#2']);
+    expect(sections[1].text).toContain('## not a heading');
+  });
+});
+
+describe('mergeDocument', () => {
+  const base = doc({ Overview: 'Generated overview.', 'Action Items': '- Write the spec' });
+
+  test('keeps a hand-edited section when the regeneration did not change it', () => {
+    const ours = doc({ Overview: 'Overview rewritten by hand.', 'Action Items': '- Write the spec' });
+    const theirs = doc({ Overview: 'Generated overview.', 'Action Items': '- Write the spec\n- Review it' });
+
+    const { body, conflicts } = mergeDocument(base, ours, theirs);
+    expect(body).toContain('Overview rewritten by hand.');
+    expect(body).toContain('- Review it');
+    expect(conflicts).toEqual([]);
+  });
+
+  test('refreshes a section only the regeneration changed', () => {
+    const theirs = doc({ Overview: 'New generated overview.', 'Action Items': '- Write the spec' });
+
+    const { body, conflicts } = mergeDocument(base, base, theirs);
+    expect(body).toBe(theirs);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('reports a conflict when both sides changed a section and keeps the hand edit', () => {
+    const ours = doc({ Overview: 'Edited by hand.', 'Action Items': '- Write the spec' });
+    const theirs = doc({ Overview: 'Regenerated differently.', 'Action Items': '- Write the spec' });
+
+    const { body, conflicts } = mergeDocument(base, ours, theirs);
+    expect(body).toContain('Edited by hand.');
+    expect(body).not.toContain('Regenerated differently.');
+    expect(conflicts).toEqual([
+      {
+        section: 'Overview',
+        reason: 'edited by hand and changed by the regeneration',
+        regenerated: '## Overview\n\nRegenerated differently.',
+      },
+    ]);
+  });
+
+  test('keeps a protected region verbatim in a regenerated section', () => {
+    const region = '<!-- chroniclr-protected:start -->\nSigned off by  @alice — do not change\n<!-- chroniclr-protected:end -->';
+    const ours = doc({ Overview: `Generated overview.\n\n${region}`, 'Action Items': '- Write the spec' });
+    const theirs = doc({ Overview: 'New generated overview.', 'Action Items': '- Write the spec' });
+
+    const { body, conflicts } = mergeDocument(base, ours, theirs);
+    expect(body).toContain('New generated overview.');
+    expect(body).toContain(region);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('moves a protected region to the next section when its section is dropped', () => {
+    const region = '<!-- chroniclr-protected:start -->\nKeep me\n<!-- chroniclr-protected:end -->';
+    const ours = doc({ Overview: 'Generated overview.', 'Action Items': `- Write the spec\n\n${region}` });
+    const theirs = doc({ Overview: 'Generated overview.' });
+
+    const { body } = mergeDocument(base, ours, theirs);
+    expect(body).not.toContain('## Action Items');
+    expect(body).toContain(region);
+  });
+
+  test('keeps sections added by hand after the section they followed', () => {
+    const ours = doc({ Overview: 'Generated overview.', Notes: 'Added by hand.', 'Action Items': '- Write the spec' });
+    const theirs = doc({ Overview: 'New overview.', 'Action Items': '- Write the spec' });
+
+    const { body } = mergeDocument(base, ours, theirs);
+    expect(splitSections(body).map((section) => section.key)).toEqual(['', 'overview', 'notes', 'action items']);
+  });
+
+  test('without a base, treats the current document as the base', () => {
+    const theirs = doc({ Overview: 'New overview.', 'Action Items': '- Write the spec' });
+    expect(mergeDocument(null, base, theirs).body).toBe(theirs);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Every recorded bundle in fixtures/ replays to its golden files
+ * (scripts/check-fixtures.js), so prompt and template changes that alter
+ * the output fail until the goldens are updated with --update
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+const bundles = fs
+  .readdirSync(path.join(root, 'fixtures'))
+  .filter((file) => file.endsWith('.json'));
+
+describe('fixture bundles', () => {
+  test('at least one bundle is recorded', () => {
+    expect(bundles.length).toBeGreaterThan(0);
+  });
+
+  test.each(bundles)('%s matches its golden files', (bundle) => {
+    const output = execFileSync('node', ['scripts/check-fixtures.js', path.join('fixtures', bundle)], {
+      cwd: root,
+      encoding: 'utf8',
+      stdio: 'pipe',
+    });
+    expect(output).toMatch(/All \d+ fixture checks passed/);
+  }, 60000);
+});
@@ -0,0 +1,123 @@
+/**
+ * ConfluencePublisher against a local mock of the Confluence REST API:
+ * a page is created with its labels, left alone when nothing changed and
+ * updated with a new version when the document changed
+ */
+
+const http = require('http');
+const { ConfluencePublisher } = require('../../src/publishers/confluence-publisher');
+
+function startConfluence() {
+  const pages = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: url.pathname, body });
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      const view = (page) => ({ ...page, _links: { base: 'http://wiki', webui: `/pages/${page.id}` } });
+
+      if (req.method === 'GET' && url.pathname === '/rest/api/content/search') {
+        const label = url.searchParams.get('cql').match(/label = "([^"]+)"/)[1];
+        return send(200, { results: pages.filter((page) => page.labels.includes(label)).map(view) });
+      }
+      if (req.method === 'GET' && url.pathname === '/rest/api/content') {
+        const title = url.searchParams.get('title');
+        return send(200, { results: pages.filter((page) => page.title === title).map(view) });
+      }
+      if (req.method === 'POST' && url.pathname === '/rest/api/content') {
+        if (pages.some((page) => page.title === body.title)) {
+          return send(400, { message: 'A page with this title already exists' });
+        }
+        const page = {
+          id: String(pages.length + 1),
+          title: body.title,
+          body: body.body,
+          version: { number: 1 },
+          labels: (body.metadata?.labels || []).map((label) => label.name),
+        };
+        pages.push(page);
+        return send(200, view(page));
+      }
+      const pageMatch = url.pathname.match(/^\/rest\/api\/content\/(\d+)(\/label)?$/);
+      const page = pageMatch && pages.find((candidate) => candidate.id === pageMatch[1]);
+      if (req.method === 'PUT' && page && !pageMatch[2]) {
+        Object.assign(page, { title: body.title, body: body.body, version: { number: body.version.number } });
+        return send(200, view(page));
+      }
+      if (req.method === 'POST' && page && pageMatch[2]) {
+        page.labels.push(...body.map((label) => label.name));
+        return send(200, { results: body });
+      }
+      return send(404, { message: 'Not found' });
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () => resolve({ server, pages, requests, port: server.address().port }))
+  );
+}
+
+describe('ConfluencePublisher', () => {
+  let confluence;
+  let publisher;
+  const savedEnv = { ...process.env };
+
+  beforeEach(async () => {
+    confluence = await startConfluence();
+    process.env.CONFLUENCE_BASE_URL = `http://127.0.0.1:${confluence.port}`;
+    process.env.JIRA_USER_EMAIL = 'bot@example.com';
+    process.env.JIRA_API_TOKEN = 'token';
+    publisher = new ConfluencePublisher({ spaceKey: 'DOCS' });
+  });
+
+  afterEach(async () => {
+    process.env = { ...savedEnv };
+    await new Promise((resolve) => confluence.server.close(resolve));
+  });
+
+  const document = (content) => ({
+    docType: 'summary',
+    content,
+    identity: { key: 'summary-discussion-42', label: 'Discussion #42' },
+  });
+
+  test('creates, leaves unchanged and updates the page for a source', async () => {
+    const created = await publisher.publish(document('# Auth planning\n\nFirst draft.'));
+    expect(created).toMatchObject({ action: 'created', id: '1', title: 'Auth planning (Discussion #42)' });
+    expect(confluence.pages[0].labels).toEqual(['chroniclr', 'chroniclr-summary-discussion-42']);
+    expect(confluence.requests.some((request) => request.path.endsWith('/label'))).toBe(false);
+
+    const unchanged = await publisher.publish(document('# Auth planning\n\nFirst draft.'));
+    expect(unchanged).toMatchObject({ action: 'unchanged', id: '1' });
+
+    const updated = await publisher.publish(document('# Auth planning\n\nSecond draft.'));
+    expect(updated).toMatchObject({ action: 'updated', id: '1' });
+    expect(confluence.pages).toHaveLength(1);
+    expect(confluence.pages[0].version.number).toBe(2);
+    expect(confluence.pages[0].body.storage.value).toContain('Second draft.');
+  });
+
+  test('adopts and labels a page with the same title that has no source label', async () => {
+    confluence.pages.push({
+      id: '7',
+      title: 'Auth planning (Discussion #42)',
+      body: { storage: { value: '<p>Old</p>', representation: 'storage' } },
+      version: { number: 3 },
+      labels: [],
+    });
+
+    const result = await publisher.publish(document('# Auth planning\n\nNew text.'));
+    expect(result).toMatchObject({ action: 'updated', id: '7' });
+    expect(confluence.pages).toHaveLength(1);
+    expect(confluence.pages[0].labels).toEqual(['chroniclr', 'chroniclr-summary-discussion-42']);
+    expect(confluence.pages[0].version.number).toBe(4);
+  });
+});
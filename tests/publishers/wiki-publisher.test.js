@@ -0,0 +1,115 @@
+/**
+ * WikiPublisher against a local bare repository standing in for the
+ * <repo>.wiki.git remote (CHRONICLR_WIKI_REMOTE)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { WikiPublisher } = require('../../src/publishers/wiki-publisher');
+
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf8',
+  }).trim();
+}
+
+describe('WikiPublisher', () => {
+  let root;
+  let remote;
+  let publisher;
+  const savedEnv = { ...process.env };
+
+  // A wiki must have a page before it can be cloned; this one also has a
+  // hand-written sidebar that publishing must keep
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'chroniclr-wiki-test-'));
+    remote = path.join(root, 'wiki.git');
+    const seed = path.join(root, 'seed');
+    git(['init', '--quiet', '--bare', '--initial-branch=master', remote]);
+    git(['init', '--quiet', '--initial-branch=master', seed]);
+    fs.writeFileSync(path.join(seed, 'Home.md'), '# Welcome\n');
+    fs.writeFileSync(path.join(seed, '_Sidebar.md'), '[[Home]]\n');
+    git(['add', '--all'], seed);
+    git(['commit', '--quiet', '-m', 'Initial wiki'], seed);
+    git(['push', '--quiet', remote, 'master'], seed);
+
+    process.env.CHRONICLR_WIKI_REMOTE = remote;
+    process.env.GITHUB_REPOSITORY = 'acme/widgets';
+    delete process.env.GITHUB_SERVER_URL;
+    publisher = new WikiPublisher();
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  function readRemote(file) {
+    return git(['show', `master:${file}`], remote);
+  }
+
+  const documents = (summaryBody) => [
+    {
+      docType: 'summary',
+      topicFolder: '2025-01-13-auth-system',
+      fileName: 'summary-42.md',
+      content: `# Auth planning\n\n${summaryBody}\n`,
+    },
+    {
+      docType: 'meeting-notes',
+      topicFolder: '2025-01-14-standup',
+      fileName: 'meeting-notes-43.md',
+      content: '# Daily standup\n\nNotes.\n',
+    },
+  ];
+
+  test('creates, leaves unchanged and updates pages and keeps the sidebar current', async () => {
+    const created = await publisher.publishAll(documents('First draft.'));
+    expect(created).toEqual([
+      {
+        action: 'created',
+        title: '2025-01-13-auth-system-summary-42',
+        url: 'https://github.com/acme/widgets/wiki/2025-01-13-auth-system-summary-42',
+      },
+      {
+        action: 'created',
+        title: '2025-01-14-standup-meeting-notes-43',
+        url: 'https://github.com/acme/widgets/wiki/2025-01-14-standup-meeting-notes-43',
+      },
+    ]);
+    expect(readRemote('2025-01-13-auth-system-summary-42.md')).toContain('First draft.');
+    const commits = git(['rev-list', '--count', 'master'], remote);
+
+    const unchanged = await publisher.publishAll(documents('First draft.'));
+    expect(unchanged.map((result) => result.action)).toEqual(['unchanged', 'unchanged']);
+    expect(git(['rev-list', '--count', 'master'], remote)).toBe(commits);
+
+    const updated = await publisher.publishAll(documents('Second draft.'));
+    expect(updated.map((result) => result.action)).toEqual(['updated', 'unchanged']);
+    expect(readRemote('2025-01-13-auth-system-summary-42.md')).toContain('Second draft.');
+
+    expect(readRemote('_Sidebar.md')).toBe(
+      [
+        '[[Home]]',
+        '',
+        '<!-- chroniclr-sidebar:start -->',
+        '### Chroniclr Documents',
+        '',
+        '**Meeting Notes**',
+        '',
+        '- 2025-01-14',
+        '  - [[Daily standup|2025-01-14-standup-meeting-notes-43]]',
+        '',
+        '**Summary**',
+        '',
+        '- 2025-01-13',
+        '  - [[Auth planning|2025-01-13-auth-system-summary-42]]',
+        '',
+        '<!-- chroniclr-sidebar:end -->',
+      ].join('\n')
+    );
+  });
+});
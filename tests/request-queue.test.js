@@ -0,0 +1,182 @@
+/**
+ * Request queue retries: server-requested delays, which failures are
+ * retried, and what callers get once retries run out
+ * (src/utils/request-queue.js)
+ */
+
+const http = require('http');
+const core = require('@actions/core');
+const { RequestQueue, RateLimitError, parseRetryDelay } = require('../src/utils/request-queue');
+
+// No backoff and no sleeping between attempts
+const zeroDelayQueue = (options = {}) => {
+  const queue = new RequestQueue({ baseDelayMs: 0, maxDelayMs: 0, maxRetries: 2, ...options });
+  queue.sleep = async () => {};
+  return queue;
+};
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { status, response: { headers } });
+
+beforeEach(() => {
+  jest.spyOn(core, 'warning').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseRetryDelay', () => {
+  const now = Date.parse('2024-03-05T12:00:00Z');
+
+  test('reads Retry-After in seconds', () => {
+    expect(parseRetryDelay({ 'retry-after': '30' }, now)).toBe(30000);
+    expect(parseRetryDelay(new Headers({ 'Retry-After': '0' }), now)).toBe(0);
+  });
+
+  test('reads Retry-After as an HTTP date', () => {
+    expect(parseRetryDelay({ 'retry-after': 'Tue, 05 Mar 2024 12:00:45 GMT' }, now)).toBe(45000);
+    expect(parseRetryDelay({ 'retry-after': 'Tue, 05 Mar 2024 11:00:00 GMT' }, now)).toBe(0);
+  });
+
+  test('reads x-ratelimit-reset as epoch seconds or seconds until reset', () => {
+    expect(parseRetryDelay({ 'x-ratelimit-reset': String(now / 1000 + 90) }, now)).toBe(90000);
+    expect(parseRetryDelay({ 'x-ratelimit-reset': String(now / 1000 - 10) }, now)).toBe(0);
+    expect(parseRetryDelay({ 'x-ratelimit-reset': '20' }, now)).toBe(20000);
+  });
+
+  test('prefers Retry-After and returns null without either header', () => {
+    expect(parseRetryDelay({ 'retry-after': '5', 'x-ratelimit-reset': '20' }, now)).toBe(5000);
+    expect(parseRetryDelay({ 'retry-after': 'soon' }, now)).toBeNull();
+    expect(parseRetryDelay({}, now)).toBeNull();
+  });
+});
+
+describe('RequestQueue.schedule', () => {
+  test.each([408, 429, 500, 502, 503, 504])('retries HTTP %i', async (status) => {
+    const queue = zeroDelayQueue();
+    const task = jest.fn().mockRejectedValueOnce(httpError(status)).mockResolvedValue('ok');
+
+    await expect(queue.schedule('api.example.com', task)).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(queue.stats.retries).toBe(1);
+  });
+
+  test('retries a 403 only when it signals a rate limit', async () => {
+    const queue = zeroDelayQueue();
+    const limited = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(403, { 'x-ratelimit-remaining': '0' }))
+      .mockResolvedValue('ok');
+    await expect(queue.schedule('api.example.com', limited)).resolves.toBe('ok');
+    expect(limited).toHaveBeenCalledTimes(2);
+
+    const forbidden = jest.fn().mockRejectedValue(httpError(403));
+    await expect(queue.schedule('api.example.com', forbidden)).rejects.toThrow('HTTP 403');
+    expect(forbidden).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry other statuses', async () => {
+    const queue = zeroDelayQueue();
+    const task = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(queue.schedule('api.example.com', task)).rejects.toThrow('HTTP 404');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(queue.stats.failures).toBe(1);
+  });
+
+  test('retries network errors but not bugs in the task', async () => {
+    const queue = zeroDelayQueue();
+    const network = jest
+      .fn()
+      .mockRejectedValueOnce(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } }))
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockResolvedValue('ok');
+    await expect(queue.schedule('api.example.com', network)).resolves.toBe('ok');
+    expect(network).toHaveBeenCalledTimes(3);
+
+    const bug = jest.fn().mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'data')"));
+    await expect(queue.schedule('api.example.com', bug)).rejects.toThrow(TypeError);
+    expect(bug).toHaveBeenCalledTimes(1);
+  });
+
+  test('raises RateLimitError once retries run out on a 429', async () => {
+    const queue = zeroDelayQueue();
+    const task = jest.fn().mockRejectedValue(httpError(429));
+
+    const error = await queue.schedule('api.example.com', task).catch((caught) => caught);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ host: 'api.example.com', status: 429 });
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(queue.stats).toMatchObject({ requests: 3, retries: 2, rateLimited: 3, failures: 1 });
+  });
+
+  test('rethrows the last error once retries run out on a 5xx', async () => {
+    const queue = zeroDelayQueue();
+    const task = jest.fn().mockRejectedValue(httpError(502));
+
+    await expect(queue.schedule('api.example.com', task)).rejects.toThrow('HTTP 502');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up instead of waiting longer than maxRetryWaitMs', async () => {
+    const queue = zeroDelayQueue({ maxRetryWaitMs: 1000 });
+    const task = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+    await expect(queue.schedule('api.example.com', task)).rejects.toThrow(RateLimitError);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('RequestQueue.fetch', () => {
+  let server;
+  let baseUrl;
+  let statuses;
+  let hits;
+
+  beforeEach(async () => {
+    hits = 0;
+    server = http.createServer((req, res) => {
+      const status = statuses[Math.min(hits++, statuses.length - 1)];
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(`attempt ${hits}`);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('returns the response once a retried request succeeds', async () => {
+    statuses = [503, 200];
+    const response = await zeroDelayQueue().fetch(`${baseUrl}/status`);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('attempt 2');
+  });
+
+  test('returns the last response for an exhausted 5xx', async () => {
+    statuses = [500, 502, 503];
+    const response = await zeroDelayQueue().fetch(`${baseUrl}/status`);
+
+    expect(response.status).toBe(503);
+    expect(await response.text()).toBe('attempt 3');
+    expect(hits).toBe(3);
+  });
+
+  test('returns other error responses without retrying', async () => {
+    statuses = [404];
+    const response = await zeroDelayQueue().fetch(`${baseUrl}/missing`);
+
+    expect(response.status).toBe(404);
+    expect(hits).toBe(1);
+  });
+
+  test('raises RateLimitError for an exhausted 429', async () => {
+    statuses = [429];
+    await expect(zeroDelayQueue().fetch(`${baseUrl}/status`)).rejects.toThrow(RateLimitError);
+    expect(hits).toBe(3);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Template engine: variables, conditionals, loops, partials, filters
+ * and block errors (src/utils/template-engine.js)
+ */
+
+const { TemplateEngine, TemplateError } = require('../src/utils/template-engine');
+
+const render = (template, context, options) => new TemplateEngine(options).render(template, context);
+
+describe('variables', () => {
+  test('resolves dot paths and renders TBD for unset values', () => {
+    expect(render('{sprint.name}: {sprint.goal}', { sprint: { name: 'Sprint 4' } })).toBe(
+      'Sprint 4: TBD'
+    );
+  });
+
+  test('uses the configured missing value', () => {
+    expect(render('{title}', {}, { missing: '' })).toBe('');
+  });
+});
+
+describe('conditionals', () => {
+  test('{#if} renders the body for a value and {else} for an empty one', () => {
+    const template = '{#if items}has items{else}no items{/if}';
+    expect(render(template, { items: ['a'] })).toBe('has items');
+    expect(render(template, { items: [] })).toBe('no items');
+    expect(render(template, { items: '' })).toBe('no items');
+    expect(render(template, {})).toBe('no items');
+  });
+
+  test('{#unless} is the negation', () => {
+    const template = '{#unless done}open{else}closed{/unless}';
+    expect(render(template, { done: false })).toBe('open');
+    expect(render(template, { done: true })).toBe('closed');
+  });
+
+  test('block tags on a line of their own leave no blank lines behind', () => {
+    const template = 'Before\n{#if show}\nShown\n{/if}\nAfter\n';
+    expect(render(template, { show: true })).toBe('Before\nShown\nAfter\n');
+    expect(render(template, { show: false })).toBe('Before\nAfter\n');
+  });
+});
+
+describe('loops', () => {
+  test('{#each} exposes {this}, {@index}, {@number} and item fields', () => {
+    expect(render('{#each tags}{@index}:{this} {/each}', { tags: ['a', 'b'] })).toBe('0:a 1:b ');
+    expect(
+      render('{#each prs}{@number}. #{number} {title}\n{/each}', {
+        prs: [
+          { number: 12, title: 'Add login' },
+          { number: 15, title: 'Fix logout' },
+        ],
+      })
+    ).toBe('1. #12 Add login\n2. #15 Fix logout\n');
+  });
+
+  test('item fields fall back to the outer context', () => {
+    expect(render('{#each prs}{title} in {repo}{/each}', { repo: 'app', prs: [{ title: 'A' }] })).toBe(
+      'A in app'
+    );
+  });
+
+  test('{else} renders for an empty or missing list', () => {
+    const template = '{#each prs}{title}{else}No pull requests.{/each}';
+    expect(render(template, { prs: [] })).toBe('No pull requests.');
+    expect(render(template, {})).toBe('No pull requests.');
+  });
+});
+
+describe('partials', () => {
+  test('renders a partial with the current scope', () => {
+    const engine = new TemplateEngine({ partials: { footer: '— {author}' } });
+    expect(engine.render('Notes {> footer}', { author: 'alice' })).toBe('Notes — alice');
+  });
+
+  test('a partial alone on a line brings its own newline', () => {
+    const engine = new TemplateEngine({ partials: { refs: 'Refs\n' } });
+    expect(engine.render('Top\n{> refs}\nBottom', {})).toBe('Top\nRefs\nBottom');
+  });
+
+  test('rejects unknown and recursive partials', () => {
+    expect(() => render('{> missing}', {})).toThrow('Unknown partial "missing"');
+    const engine = new TemplateEngine({ partials: { loop: 'again {> loop}' } });
+    expect(() => engine.render('{> loop}', {})).toThrow('Recursive partial "loop"');
+  });
+});
+
+describe('filters', () => {
+  test('date formats in UTC', () => {
+    expect(render('{at | date}', { at: '2024-03-05T23:30:00Z' })).toBe('2024-03-05');
+    expect(render('{at | date:"MMM D, YYYY HH:mm"}', { at: '2024-03-05T23:30:00Z' })).toBe(
+      'Mar 5, 2024 23:30'
+    );
+    expect(render('{at | date:"MMMM"}', { at: '2024-03-05' })).toBe('March');
+    expect(render('{at | date}', { at: 'not a date' })).toBe('not a date');
+  });
+
+  test('join', () => {
+    expect(render('{tags | join}', { tags: ['a', 'b'] })).toBe('a, b');
+    expect(render('{tags | join:" / "}', { tags: ['a', 'b'] })).toBe('a / b');
+  });
+
+  test('pluralize counts arrays and numbers', () => {
+    expect(render('{prs | pluralize:"PR"}', { prs: [1] })).toBe('1 PR');
+    expect(render('{prs | pluralize:"PR"}', { prs: [1, 2, 3] })).toBe('3 PRs');
+    expect(render('{count | pluralize:"story":"stories"}', { count: 2 })).toBe('2 stories');
+    expect(render('{count | pluralize}', { count: 0 })).toBe('0 items');
+  });
+
+  test('default', () => {
+    expect(render('{owner | default:"unassigned"}', {})).toBe('unassigned');
+    expect(render('{owner | default:"unassigned"}', { owner: 'bob' })).toBe('bob');
+  });
+
+  test('map, length, first and last', () => {
+    const context = { prs: [{ title: 'A' }, { title: 'B' }, { title: 'C' }] };
+    expect(render('{prs | map:title | join:"+"}', context)).toBe('A+B+C');
+    expect(render('{prs | length}', context)).toBe('3');
+    expect(render('{prs | map:title | first}', context)).toBe('A');
+    expect(render('{prs | map:title | last}', context)).toBe('C');
+  });
+
+  test('list and numbered', () => {
+    expect(render('{items | list}', { items: ['a', 'b'] })).toBe('- a\n- b');
+    expect(render('{items | numbered}', { items: ['a', 'b'] })).toBe('1. a\n2. b');
+  });
+
+  test('upper and lower', () => {
+    expect(render('{status | upper}', { status: 'Done' })).toBe('DONE');
+    expect(render('{status | lower}', { status: 'Done' })).toBe('done');
+  });
+
+  test('truncate', () => {
+    expect(render('{text | truncate:5}', { text: 'abcdefgh' })).toBe('abcd…');
+    expect(render('{text | truncate:5}', { text: 'abc' })).toBe('abc');
+  });
+
+  test('rejects unknown filters', () => {
+    expect(() => render('{title | shout}', {})).toThrow('Unknown template filter "shout"');
+  });
+});
+
+describe('block errors', () => {
+  test('reports an unclosed block', () => {
+    expect(() => render('{#if items}open', {})).toThrow(TemplateError);
+    expect(() => render('{#each prs}{title}', {})).toThrow('Unclosed {#each prs}');
+  });
+
+  test('reports a mismatched or stray closing tag', () => {
+    expect(() => render('{#if items}x{/each}', {})).toThrow('Unexpected {/each}, expected {/if}');
+    expect(() => render('text{/if}', {})).toThrow('Unexpected {/if}');
+  });
+
+  test('reports {else} outside a block', () => {
+    expect(() => render('a{else}b', {})).toThrow('{else} outside of an {#if} or {#each} block');
+  });
+});